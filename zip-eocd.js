@@ -7,24 +7,48 @@
 const fs = require("fs");
 const path = require("path");
 const zlib = require("zlib");
+const buffer = require("buffer");
+const crypto = require("crypto");
+const stream = require("stream");
 const CRC32 = require("crc-32");
 
 
 ///////////////////////////////////////
+const SZ_GB_1               = 1024 * 1024 * 1024;
 const SZ_MB_4               = 4 * 1024 * 1024;
 const SZ_MB_2               = 2 * 1024 * 1024;
+const SZ_KB_64              = 64 * 1024;
 const SZ_DESC_MAX           = 4 * 4;
 const SZ_LOC_MAX            = 1024;
 
 const SIG_EOCD_64           = 0x06064b50;
+const SIG_EOCD_64_LOC       = 0x07064b50;
 const SIG_EOCD              = 0x06054b50;
 const SIG_CDIR              = 0x02014b50;
 const SIG_LOC               = 0x04034b50;
 const SIG_DESC              = 0x08074b50;
+const SIG_SPAN_SINGLE       = 0x30304b50;
 
 const V_32BIT_MAX_BINT      = 0xffffffffn;
 const V_16BIT_MAX           = 0xffff;
 
+const VER_DEFAULT           = 10;
+const VER_DEFLATE           = 20;
+const VER_ZIP64             = 45;
+const VER_MADE_BY           = (3 << 8) | 63; // UNIX, APPNOTE 6.3
+
+const MODE_FILE             = 0o100644;
+const MODE_DIR              = 0o040755;
+const ATTR_DOS_DIR          = 0x10;
+
+const S_IFMT                = 0o170000;
+const S_IFREG               = 0o100000;
+const S_IFDIR               = 0o040000;
+const S_IFLNK               = 0o120000;
+
+const HOST_UNIX             = 3;
+const HOST_OSX              = 19;
+
 const EXTSIG_ZIP64          = 0x0001;
 const EXTSIG_AV             = 0x0007;
 const EXTSIG_PFS            = 0x0008;
@@ -47,6 +71,14 @@ const EXTSIG_SCRYPT_DATA    = 0x0023;
 const EXTSIG_IBM_UNCOMPRESS = 0x0065;
 const EXTSIG_IBM_COMPRESS   = 0x0066;
 const EXTSIG_POSZIP         = 0x4690;
+const EXTSIG_XTIME          = 0x5455;
+const EXTSIG_INFOZIP_UNIX   = 0x7875;
+const EXTSIG_UNICODE_PATH   = 0x7075;
+const EXTSIG_UNICODE_COMMENT = 0x6375;
+const EXTSIG_ALIGNMENT      = 0xd935;
+const EXTSIG_AES            = 0x9901;
+
+const FILETIME_UNIX_EPOCH   = 116444736000000000n;
 
 const C_DEFLATE           = 8;
 const C_STORE             = 0;
@@ -76,6 +108,18 @@ const lget32 = (buf, off) => (lget16(buf, off) | (lget16(buf, off+2) << 16)) & 0
 const lget16_bint = (buf, off) => BigInt(buf[off]) | (BigInt(buf[off+1]) << 8n);
 const lget32_bint = (buf, off) => (lget16_bint(buf, off) | (lget16_bint(buf, off+2) << 16n)) & 0xffffffffn;
 const lget64_bint = (buf, off) => lget32_bint(buf, off) | (lget32_bint(buf, off+4) << 32n);
+const lput16 = (buf, off, num) => {
+  buf[off] = num & 0xff;
+  buf[off+1] = (num >>> 8) & 0xff;
+};
+const lput32 = (buf, off, num) => {
+  lput16(buf, off, num & 0xffff);
+  lput16(buf, off+2, (num >>> 16) & 0xffff);
+};
+const lput64_bint = (buf, off, bnum) => {
+  lput32(buf, off, num32b(bnum & 0xffffffffn));
+  lput32(buf, off+4, num32b((bnum >> 32n) & 0xffffffffn));
+};
 const mask_and_shift = (num, mask, shift) => (num & mask) >> shift;
 const getbit = (num, bitnum) => (num >> bitnum) & 0x1;
 const num32b = (bigint) => Number(bigint);
@@ -119,10 +163,21 @@ function arraycopy(src, srcPos, dest, destPos, len) {
   }
 }
 
+function zip_error(code, message) {
+  let err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function size_error() {
+  return zip_error('ERR_ZIP_SIZE_EXCEEDED', 'Entry inflates beyond its declared size');
+}
+
 function assert_crc32(buf, expected_crc32) {
   let crc32 = CRC32.buf(buf);
   if (crc32 !== expected_crc32) {
-    throw new Error(`CRC-32: Checksum mismatch. Expected: ${expected_crc32}, Actual: ${crc32}`);
+    throw zip_error('ERR_ZIP_CRC_MISMATCH',
+      `CRC-32: Checksum mismatch. Expected: ${expected_crc32}, Actual: ${crc32}`);
   }
 }
 
@@ -130,6 +185,77 @@ function uint8arr_to_str(uint8Arr) {
   return Buffer.from(uint8Arr).toString('utf-8');
 }
 
+// IBM PC code page 437, bytes 0x80-0xff
+const CP437_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+  'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+  '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+  'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0';
+
+function cp437_to_str(uint8Arr) {
+  let str = '';
+  for (let byte of uint8Arr) {
+    str += byte < 0x80 ? String.fromCharCode(byte) : CP437_HIGH[byte - 0x80];
+  }
+
+  return str;
+}
+
+/*
+ * Filenames and comments are UTF-8 if general purpose bit
+ * 11 is set. Otherwise they are CP437 as per the spec, unless
+ * the caller knows better: opts.encoding is a TextDecoder
+ * label (e.g. 'shift_jis') or a function(bytes) => string.
+ */
+function decode_str(uint8Arr, flg_gen, opts = {}) {
+  if (getbit(flg_gen, 11) === 1) {
+    return uint8arr_to_str(uint8Arr);
+  }
+
+  let {encoding = 'cp437'} = opts;
+  if (typeof encoding === 'function') {
+    return encoding(uint8Arr);
+  }
+
+  if (encoding === 'cp437') {
+    return cp437_to_str(uint8Arr);
+  }
+
+  return new TextDecoder(encoding).decode(uint8Arr);
+}
+
+function str_to_uint8arr(str) {
+  return new Uint8Array(Buffer.from(str, 'utf-8'));
+}
+
+function isascii(str) {
+  return /^[\x00-\x7f]*$/.test(str);
+}
+
+/*
+ * MS-DOS date/time, as stored in the tm_last_mod and
+ * dt_last_mod fields (local time, 2 second resolution):
+ *    time: hhhhh mmmmmm sssss (seconds / 2)
+ *    date: yyyyyyy mmmm ddddd (years since 1980)
+ */
+function date_to_dos(date) {
+  let year = Math.max(date.getFullYear(), 1980);
+  return {
+    tm: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    dt: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function dos_to_date(tm, dt) {
+  return new Date(
+    mask_and_shift(dt, 0xfe00, 9) + 1980,
+    mask_and_shift(dt, 0x01e0, 5) - 1,
+    dt & 0x1f,
+    mask_and_shift(tm, 0xf800, 11),
+    mask_and_shift(tm, 0x07e0, 5),
+    (tm & 0x1f) * 2);
+}
+
 function getbuf(size) {
   return new Uint8Array(size);
 }
@@ -143,638 +269,6328 @@ function cp_buf(buf, off, size) {
 function cp_buf_str(buf, off, size) {
   return uint8arr_to_str(cp_buf(buf, off, size));
 }
-///////////////////////////////////////
-
-
-function randomAccessFile(filepath) {
-  filepath = path.resolve(filepath);
-  let fd = fs.openSync(filepath, 'r', 0o666);
-  let {size: filesize} = fs.statSync(filepath);
-
-  return {
-    head: (buf, off, len) => {
-      off = num32b(off);
-      if (!Number.isSafeInteger(off)) {
-        throw new Error('offset is too big!');
-      }
-
-      try {
-        if (off > filesize || off < 0 || len < 0) {
-          return -1;
-        }
-
-        len = Math.min(filesize, off+len) - off;
-        return fs.readSync(fd, buf, 0, len, off);
-      } catch (err) {
-        return -1
-      }
-    },
-    tail: (buf, off, len) => {
-      try {
-        if (off > filesize || off < 0 || len < 0) {
-          return -1;
-        }
 
-        let end = filesize - off;
-        off = Math.max(end - len, 0);
-        len = end - off;
-        return fs.readSync(fd, buf, 0, len, off);
-      } catch (err) {
-        return -1;
-      }
-    },
-    close: () => {
-      fs.closeSync(fd);
-    }
+/*
+ * Parsing routines are written as generators which yield
+ * the result of every byte source read. The drivers below
+ * resume them with the read's value, so the same routine
+ * serves a synchronous source (value is returned as is)
+ * and an asynchronous one (value is a Promise).
+ */
+function run_sync(gen) {
+  let res = gen.next();
+  while (!res.done) {
+    res = gen.next(res.value);
   }
-}
-
-function ZIP64_ext(record, buf, off, ext_len) {
-  let zip64_ext = {};
 
-  let id_hdr, sz_data;
-  const lim = off + ext_len;
-  while (off < lim) {
-    id_hdr = lget16(buf, off);
-    sz_data = lget16(buf, off+2);
+  return res.value;
+}
 
-    // skip over header
-    off += 4;
+async function run_async(gen) {
+  let res = gen.next();
+  while (!res.done) {
+    let value;
+    try {
+      value = await res.value;
+    } catch (err) {
+      res = gen.throw(err);
+      continue;
+    }
 
-    switch (id_hdr) {
-      case EXTSIG_ZIP64:
-      {
-        /*
-         * From ZIP specification:
-         * ------------------------------------------------------
-         * If one of the size or offset fields in the Local (LOC)
-         * or Central Directory (CDIR) record is too small to hold
-         * the required data, a Zip64 extended information record
-         * is created.
-         *
-         * The order of the fields in the zip64 extended iformation
-         * record is fixed, but the fields MUST only appear if the
-         * corresponding Local (LOC) or Central Directory (CDIR)
-         * record field is set to:
-         *    - 0xFFFF (for 2-byte/16-bit fields), or
-         *    - 0xFFFFFFFF (for 4-byte/32-bit fields)
-         */
-        let _off = off;
-        if (record.sz_uncompress === V_32BIT_MAX_BINT) {
-          zip64_ext.sz_uncompress = lget64_bint(buf, _off);
-          _off += 8;
-        }
-
-        if (record.sz_compress === V_32BIT_MAX_BINT) {
-          zip64_ext.sz_compress = lget64_bint(buf, _off);
-          _off += 8;
-        }
-
-        if (record.off_loc === V_32BIT_MAX_BINT) {
-          zip64_ext.off_loc = lget64_bint(buf, _off);
-          _off += 8;
-        }
-
-        if (record.num_disk === V_16BIT_MAX) {
-          zip64_ext.num_disk = lget32(buf, _off);
-          _off += 8;
-        }
+    res = gen.next(value);
+  }
 
-        break;
-      }
+  return res.value;
+}
 
-      case EXTSIG_AV:
-      case EXTSIG_PFS:
-      case EXTSIG_OS2:
-      case EXTSIG_NTFS:
-      case EXTSIG_OPENVMS:
-      case EXTSIG_UNIX:
-      case EXTSIG_STREAM:
-      case EXTSIG_PATCH:
-      case EXTSIG_X509_PKCS:
-      case EXTSIG_X509_LOC:
-      case EXTSIG_X509_CEN:
-      case EXTSIG_CRYPT:
-      case EXTSIG_RMC:
-      case EXTSIG_CERT_LIST_PKCS:
-      case EXTSIG_TIMESTAMP:
-      case EXTSIG_DECRYPT:
-      case EXTSIG_SCRYPT_KEY:
-      case EXTSIG_SCRYPT_DATA:
-      case EXTSIG_IBM_UNCOMPRESS:
-      case EXTSIG_IBM_COMPRESS:
-      case EXTSIG_POSZIP:
-      default:
-    }
-
-    off += sz_data;
+const CRC32_TABLE = (() => {
+  let table = new Int32Array(256);
+  for (let n=0; n<256; n++) {
+    let c = n;
+    for (let k=0; k<8; k++) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c;
   }
 
-  return zip64_ext;
-}
+  return table;
+})();
 
-function LOC(buf, off) {
-  let loc = {
-    sig:            lget32(buf, off),
-    ver:            lget16(buf, off+4),
-    flg_gen:        lget16(buf, off+6),
-    compression:    lget16(buf, off+8),
-    tm_last_mod:    lget16(buf, off+10),
-    dt_last_mod:    lget16(buf, off+12),
-    crc_32:         lget32(buf, off+14),
-    sz_compress:    lget32_bint(buf, off+18),
-    sz_uncompress:  lget32_bint(buf, off+22),
-    len_filename:   lget16(buf, off+26),
-    len_ext:        lget16(buf, off+28),
+/*
+ * Traditional PKWARE encryption (ZipCrypto): a stream cipher
+ * over three 32-bit keys, initialized from the password and
+ * updated with every plaintext byte.
+ */
+function zipcrypto(password) {
+  let key0 = 0x12345678;
+  let key1 = 0x23456789;
+  let key2 = 0x34567890;
 
-    // set below
-    filename: '',
-    sz_loc: 0
+  const update = (byte) => {
+    key0 = CRC32_TABLE[(key0 ^ byte) & 0xff] ^ (key0 >>> 8);
+    key1 = (Math.imul(key1 + (key0 & 0xff), 134775813) + 1) | 0;
+    key2 = CRC32_TABLE[(key2 ^ (key1 >>> 24)) & 0xff] ^ (key2 >>> 8);
   };
 
-  loc.filename = cp_buf_str(buf, off+30, loc.len_filename);
-  loc.sz_loc = 30 + loc.len_filename + loc.len_ext;
-
-  if (loc.len_ext > 0) {
-    loc = {
-      ...loc,
-      ...ZIP64_ext(loc, buf, off+30+loc.len_filename, loc.len_ext)
-    };
+  for (let byte of password) {
+    update(byte);
   }
 
-  return loc;
-}
-
-function DESC(buf, off) {
   return {
-    sig:            lget32(buf, off),
-    crc_32:         lget32(buf, off+4),
-    sz_compress:    lget32_bint(buf, off+8),
-    sz_uncompress:  lget32_bint(buf, off+12)
-  };
-}
-
-function EOCD(buf, off) {
-  let eocd = {
-    sig:                  lget32(buf, off),
-    num_disk:             lget16(buf, off+4),
-    num_disk_cd:          lget16(buf, off+6),
-    num_disk_entries_cd:  lget16(buf, off+8),
-    num_entries_cd:       lget16(buf, off+10),
-    sz_cd:                lget32_bint(buf, off+12),
-    off_disk_cd:          lget32_bint(buf, off+16),
-    len_comment:          lget16(buf, off+20),
+    decrypt: (buf) => {
+      let plain = getbuf(buf.length);
+      for (let i=0; i<buf.length; i++) {
+        let temp = (key2 | 2) & 0xffff;
+        plain[i] = buf[i] ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xff);
+        update(plain[i]);
+      }
 
-    // set below
-    comment:              null,
-    is_zip_64:            false
+      return plain;
+    }
   };
-
-  eocd.comment = cp_buf_str(buf, off+22, eocd.len_comment);
-  eocd.is_zip_64 = eocd.num_disk === 0xffff
-    || eocd.num_disk_cd === 0xffff
-    || eocd.num_disk_entries_cd === 0xffff
-    || eocd.sz_cd === 0xffffffffn
-    || eocd.off_disk_cd === 0xffffffffn;
-
-  return eocd;
 }
 
-function EOCD_64(buf, off, eocd) {
-  let eocd_64 = {
-    ...eocd,
+/*
+ * The 12-byte encryption header precedes the entry data. Its
+ * last byte must match the CRC-32 high byte or, when the
+ * sizes and CRC-32 are deferred to a data descriptor, the
+ * high byte of the DOS time.
+ */
+const SZ_ZIPCRYPTO_HDR = 12;
 
-    zip64_sig:            lget32(buf, off),
-    sz_eocd64:            lget64_bint(buf, off+4),
+function zipcrypto_header(keys, buf_hdr, record) {
+  let check = getbit(record.flg_gen, 3) === 1
+    ? (record.tm_last_mod >> 8) & 0xff
+    : (record.crc_32 >>> 24) & 0xff;
 
-    // zip64 only
-    ver:                  lget16(buf, off+12),
-    ver_ext:              lget16(buf, off+14),
+  if (keys.decrypt(buf_hdr)[SZ_ZIPCRYPTO_HDR-1] !== check) {
+    throw zip_error('ERR_ZIP_PASSWORD_INCORRECT', 'Encrypted entry, password incorrect');
+  }
+}
 
-    // merge with zip eocd
-    num_disk:             lget32_bint(buf, off+16),
-    num_disk_cd:          lget32_bint(buf, off+20),
-    num_disk_entries_cd:  lget64_bint(buf, off+24),
-    num_entries_cd:       lget64_bint(buf, off+32),
-    sz_cd:                lget64_bint(buf, off+40),
-    off_disk_cd:          lget64_bint(buf, off+48),
+function zipcrypto_stream(keys, record) {
+  let buf_hdr = Buffer.alloc(0);
+  return new stream.Transform({
+    transform: (chunk, enc, cb) => {
+      if (buf_hdr.length < SZ_ZIPCRYPTO_HDR) {
+        let len = Math.min(SZ_ZIPCRYPTO_HDR - buf_hdr.length, chunk.length);
+        buf_hdr = Buffer.concat([buf_hdr, chunk.subarray(0, len)]);
+        chunk = chunk.subarray(len);
 
-    // zip6 only
-    zip64_ext:            null
-  };
+        if (buf_hdr.length === SZ_ZIPCRYPTO_HDR) {
+          try {
+            zipcrypto_header(keys, buf_hdr, record);
+          } catch (err) {
+            cb(err);
+            return;
+          }
+        }
+      }
 
-  if (eocd_64.sz_eocd64 < bint(Number.MAX_SAFE_INTEGER)) {
-    // 44 = sizeof non-ext EOCD
-    eocd_64.zip64_ext = cp_buf(buf, off+56, num32b(eocd_64.sz_eocd64) - 44);
-  } else {
-    eocd_64.zip64_ext = 'EOCD_64 EXT TOO LARGE';
-  }
+      cb(null, Buffer.from(keys.decrypt(chunk)));
+    },
+    flush: (cb) => {
+      if (buf_hdr.length < SZ_ZIPCRYPTO_HDR) {
+        cb(new Error('Encryption header truncated'));
+        return;
+      }
 
-  return eocd_64;
+      cb();
+    }
+  });
 }
 
-function CDIR(buf, off) {
-  let cdir = {
-    sig:            lget32(buf, off),
-    ver:            lget16(buf, off+4),
-    ver_ext:        lget16(buf, off+6),
-    flg_gen:        lget16(buf, off+8),
-    compression:    lget16(buf, off+10),
-    tm_last_mod:    lget16(buf, off+12),
-    dt_last_mod:    lget16(buf, off+14),
-    crc_32:         lget32(buf, off+16),
-    sz_compress:    lget32_bint(buf, off+20),
-    sz_uncompress:  lget32_bint(buf, off+24),
-    len_filename:   lget16(buf, off+28),
-    len_ext:        lget16(buf, off+30),
-    len_comment:    lget16(buf, off+32),
-    num_disk:       lget16(buf, off+34),
-    attrs_int:      lget16(buf, off+36),
-    attrs_ext:      lget32_bint(buf, off+38),
-    off_loc:        lget32_bint(buf, off+42),
-
-    // set below
-    sz_cdir:        0,
-    filename:       null,
-    comment:        null
-  };
-
-  cdir.filename = cp_buf_str(buf, off+46, cdir.len_filename);
-  cdir.comment = cp_buf_str(buf, off+46+cdir.len_filename+cdir.len_ext, cdir.len_comment);
-  cdir.sz_cdir = 46 + cdir.len_filename + cdir.len_ext + cdir.len_comment
+/*
+ * Password for an encrypted entry: opts.password is the
+ * password (string or bytes) or a function(cdir) returning
+ * it, or a Promise of it with zipEOCD.open().
+ */
+function* getpassword(cdir, opts) {
+  let {password = null} = opts;
+  if (typeof password === 'function') {
+    password = yield password(cdir);
+  }
 
-  if (cdir.len_ext > 0) {
-    cdir = {
-      ...cdir,
-      ...ZIP64_ext(cdir, buf, off+46+cdir.len_filename, cdir.len_ext)
-    };
+  if (password === null || password === undefined) {
+    throw zip_error('ERR_ZIP_PASSWORD_REQUIRED', 'Encrypted entry, password required');
   }
 
-  return cdir;
+  return typeof password === 'string' ? str_to_uint8arr(password) : password;
 }
 
-function resizableBuffer(buf) {
-  if (!buf) {
-    buf = new Uint8Array(0);
-  }
+/*
+ * WinZip AES encryption (compression method 99). Entry data
+ * is: salt, 2-byte password verification value, encrypted
+ * data, 10-byte authentication code.
+ *
+ * Keys are derived with PBKDF2-HMAC-SHA1 (1000 iterations):
+ * AES key, HMAC-SHA1 key, password verification value. The
+ * data is AES-CTR encrypted with a little-endian counter
+ * starting at 1, and authenticated by HMAC-SHA1 over the
+ * encrypted data, truncated to 10 bytes.
+ */
+const AES_KEYLEN = {1: 16, 2: 24, 3: 32};
+const SZ_AES_PWV = 2;
+const SZ_AES_MAC = 10;
+const SZ_AES_BLOCK = 16;
 
-  const resize = (newLen, origOff, newOff, len) => {
-    let tmp = new Uint8Array(newLen);
-    let lenToCopy = len < 0 ? buf.length : Math.min(buf.length, len);
+function winzip_aes(password, salt, strength) {
+  let keylen = AES_KEYLEN[strength];
+  let keys = crypto.pbkdf2Sync(password, salt, 1000, 2*keylen + SZ_AES_PWV, 'sha1');
+  let cipher = crypto.createCipheriv(`aes-${keylen*8}-ecb`, keys.subarray(0, keylen), null);
+  let hmac = crypto.createHmac('sha1', keys.subarray(keylen, 2*keylen));
+  cipher.setAutoPadding(false);
 
-    if ((newLen - newOff + lenToCopy) > newLen) {
-      lenToCopy = Math.max(newLen - newOff, 0);
+  let counter = Buffer.alloc(SZ_AES_BLOCK);
+  let keystream = Buffer.alloc(0);
+  let ks_off = 0;
+
+  const refill = (len) => {
+    let nblocks = Math.min(Math.ceil(len / SZ_AES_BLOCK), SZ_KB_64 / SZ_AES_BLOCK);
+    let blocks = Buffer.allocUnsafe(nblocks * SZ_AES_BLOCK);
+    for (let n=0; n<nblocks; n++) {
+      for (let i=0; i<SZ_AES_BLOCK && ++counter[i] === 0x100; i++) {
+        // carry
+      }
+      counter.copy(blocks, n * SZ_AES_BLOCK);
     }
 
-    arraycopy(buf, origOff, tmp, newOff, lenToCopy);
-    buf = tmp;
+    keystream = cipher.update(blocks);
+    ks_off = 0;
   };
 
   return {
-    coalesce_front: (_buf, off, len) => {
-      if (len === 0) {
-        return;
-      }
+    pwv: keys.subarray(2*keylen),
+    decrypt: (buf) => {
+      hmac.update(buf);
 
-      /*
-       * (1) Resize buf to accommodate size of _buf
-       * (2) Exactly copy contents of _buf into front of buf
-       *     such that _buf and the old buf are concatenated
-       *     without "empty" bytes in between
-       */
-      resize(buf.length + len, 0, len, -1);
-      arraycopy(_buf, off, buf, 0, len);
-    },
-    resize,
-    ensureSize: (size) => {
-      if (buf.length <= size) {
-        return;
+      let plain = Buffer.allocUnsafe(buf.length);
+      for (let i=0; i<buf.length; i++) {
+        if (ks_off === keystream.length) {
+          refill(buf.length - i);
+        }
+        plain[i] = buf[i] ^ keystream[ks_off++];
       }
 
-      resize(size, 0, 0, size);
+      return plain;
     },
-    getBuffer: () => buf,
-    length: () => buf.byteLength,
-    lget16: (off) => lget16(buf, off),
-    lget32: (off) => lget32(buf, off)
-  }
+    mac: () => hmac.digest().subarray(0, SZ_AES_MAC)
+  };
 }
 
-function getdesc(sb, cdir, data_off) {
-  let off = data_off + cdir.sz_compress;
-  let rb = resizableBuffer(getbuf(SZ_DESC_MAX));
-  let len = sb.head(rb.getBuffer(), off, rb.getBuffer().byteLength);
-  if (len === -1) {
-    throw new Error("EOF");
+function aes_ext(record) {
+  let extra = record.extras.find((e) => e.id === EXTSIG_AES && e.parsed !== null);
+  if (!extra) {
+    throw new Error('AES extra field missing');
   }
 
-  // check DESC signature
-  let bit32 = rb.lget32(0);
-  if (bit32 !== SIG_DESC) {
-    throw new Error("Invalid data descriptor signature");
+  if (!AES_KEYLEN[extra.parsed.strength]) {
+    throw zip_error('ERR_ZIP_UNSUPPORTED_ENCRYPTION',
+      `Unsupported AES strength: ${extra.parsed.strength}`);
   }
 
-  let desc = DESC(rb.getBuffer(), 0);
+  return extra.parsed;
+}
 
-  // sanity check
-  if (cdir.sz_compress !== desc.sz_compress
-    || cdir.sz_uncompress !== desc.sz_uncompress) {
-    throw new Error("Data descriptor mismatch with CDIR");
+function winzip_aes_header(password, buf_hdr, aes) {
+  let sz_salt = AES_KEYLEN[aes.strength] / 2;
+  let ctx = winzip_aes(password, buf_hdr.subarray(0, sz_salt), aes.strength);
+  if (!ctx.pwv.equals(Buffer.from(buf_hdr.subarray(sz_salt, sz_salt + SZ_AES_PWV)))) {
+    throw zip_error('ERR_ZIP_PASSWORD_INCORRECT', 'Encrypted entry, password incorrect');
   }
 
-  return desc;
+  return ctx;
 }
 
-function readentry(sb, cdir) {
-  /*
-   * 1) Read Local Header + Data
-   * 2) Parse Local Header
-   * 3) Isolate Data section of ZIP entry
-   * 4) Extract ZIP entry - depends on compression algorithm
-   *      - STORE: return data section
-   *      - DEFLATE: use zlib
-   *      - ...other: <not supported>
-   */
+function winzip_aes_mac(ctx, buf_mac) {
+  if (!ctx.mac().equals(Buffer.from(buf_mac))) {
+    throw zip_error('ERR_ZIP_AUTH_FAILED', 'AES authentication code mismatch');
+  }
+}
+
+function winzip_aes_stream(password, aes, sz_compress) {
+  let sz_hdr = AES_KEYLEN[aes.strength] / 2 + SZ_AES_PWV;
+  let remaining = sz_compress - bint(sz_hdr + SZ_AES_MAC);
+  let buf_hdr = Buffer.alloc(0);
+  let buf_mac = Buffer.alloc(0);
+  let ctx = null;
+
+  return new stream.Transform({
+    transform: (chunk, enc, cb) => {
+      try {
+        if (ctx === null) {
+          let len = Math.min(sz_hdr - buf_hdr.length, chunk.length);
+          buf_hdr = Buffer.concat([buf_hdr, chunk.subarray(0, len)]);
+          chunk = chunk.subarray(len);
+
+          if (buf_hdr.length < sz_hdr) {
+            cb();
+            return;
+          }
+
+          ctx = winzip_aes_header(password, buf_hdr, aes);
+        }
+
+        let len = num32b(BInt_min(remaining, bint(chunk.length)));
+        remaining -= bint(len);
+        buf_mac = Buffer.concat([buf_mac, chunk.subarray(len)]);
+        cb(null, ctx.decrypt(chunk.subarray(0, len)));
+      } catch (err) {
+        cb(err);
+      }
+    },
+    flush: (cb) => {
+      try {
+        if (ctx === null) {
+          throw new Error('Encryption header truncated');
+        }
+
+        winzip_aes_mac(ctx, buf_mac);
+        cb();
+      } catch (err) {
+        cb(err);
+      }
+    }
+  });
+}
+
+/*
+ * Pass-through failing as soon as more than 'max' bytes
+ * went through it, so an entry cannot inflate beyond the
+ * size its header declares.
+ */
+function limit_stream(max) {
+  let total = 0n;
+  return new stream.Transform({
+    transform: (chunk, enc, cb) => {
+      total += bint(chunk.byteLength);
+      if (total > max) {
+        cb(size_error());
+        return;
+      }
+
+      cb(null, chunk);
+    }
+  });
+}
+
+function crc32_stream(expected_crc32) {
+  let crc32 = 0;
+  return new stream.Transform({
+    transform: (chunk, enc, cb) => {
+      crc32 = CRC32.buf(chunk, crc32);
+      cb(null, chunk);
+    },
+    flush: (cb) => {
+      if (crc32 !== expected_crc32) {
+        cb(zip_error('ERR_ZIP_CRC_MISMATCH',
+          `CRC-32: Checksum mismatch. Expected: ${expected_crc32}, Actual: ${crc32}`));
+        return;
+      }
+
+      cb();
+    }
+  });
+}
+///////////////////////////////////////
+
+
+///////////////////////////////////////
+/*
+ * Decompressors for the methods zlib does not cover. All of
+ * them work on the whole compressed entry held in memory
+ * and return the uncompressed bytes.
+ *
+ * Output buffers start small and grow with the output, up
+ * to the declared uncompressed size: a header can claim
+ * gigabytes the data never produces.
+ */
+const SZ_OUT_INITIAL = SZ_KB_64;
+
+function outbuf(size) {
+  return getbuf(Math.min(size, SZ_OUT_INITIAL));
+}
+
+// 'out' with room for at least 'need' bytes, never more
+// than 'size'
+function growbuf(out, need, size) {
+  if (need <= out.length || out.length >= size) {
+    return out;
+  }
+
+  let grown = getbuf(Math.min(size, Math.max(need, out.length * 2)));
+  grown.set(out);
+  return grown;
+}
+
+function bitreader_msb(buf, name) {
+  let off = 0;
+  let bitbuf = 0;
+  let bitcnt = 0;
+
+  return {
+    // n <= 24
+    bits: (n) => {
+      while (bitcnt < n) {
+        if (off >= buf.length) {
+          throw new Error(`${name}: unexpected end of data`);
+        }
+        bitbuf = ((bitbuf << 8) | buf[off++]) >>> 0;
+        bitcnt += 8;
+      }
+
+      bitcnt -= n;
+      let val = (bitbuf >>> bitcnt) & ((1 << n) - 1);
+      bitbuf &= (1 << bitcnt) - 1;
+      return val;
+    },
+    align: () => {
+      bitbuf = 0;
+      bitcnt = 0;
+    },
+    offset: () => off
+  };
+}
+
+/*
+ * Bit reader for the LSB-first formats (deflate64, shrink,
+ * reduce, implode).
+ */
+function bitreader_lsb(buf, name) {
+  let off = 0;
+  let bitbuf = 0;
+  let bitcnt = 0;
+
+  return {
+    // n <= 24
+    bits: (n) => {
+      while (bitcnt < n) {
+        if (off >= buf.length) {
+          throw new Error(`${name}: unexpected end of data`);
+        }
+        bitbuf = (bitbuf | (buf[off++] << bitcnt)) >>> 0;
+        bitcnt += 8;
+      }
+
+      let val = bitbuf & ((1 << n) - 1);
+      bitbuf >>>= n;
+      bitcnt -= n;
+      return val;
+    },
+    // skip to the next byte boundary and read n bytes
+    bytes: (n) => {
+      off -= bitcnt >>> 3;
+      bitbuf = 0;
+      bitcnt = 0;
+      if (off + n > buf.length) {
+        throw new Error(`${name}: unexpected end of data`);
+      }
+
+      off += n;
+      return buf.subarray(off - n, off);
+    }
+  };
+}
+
+/*
+ * Canonical Huffman decoder. 'lens' holds the code length
+ * of every symbol, 0 if unused. Codes are read one bit at a
+ * time from 'readbit', most significant bit first.
+ */
+function huffman(lens, name) {
+  let maxLen = Math.max(...lens);
+  let count = new Uint16Array(maxLen + 1);
+  let first = new Int32Array(maxLen + 1);
+  let offset = new Uint16Array(maxLen + 1);
+  let perm = new Uint16Array(lens.length);
+
+  let code = 0;
+  let idx = 0;
+  for (let len=1; len<=maxLen; len++) {
+    first[len] = code;
+    offset[len] = idx;
+    for (let sym=0; sym<lens.length; sym++) {
+      if (lens[sym] === len) {
+        perm[idx++] = sym;
+        count[len]++;
+      }
+    }
+    code = (code + count[len]) << 1;
+  }
+
+  return (readbit) => {
+    let code = 0;
+    for (let len=1; len<=maxLen; len++) {
+      code = (code << 1) | readbit();
+      let i = code - first[len];
+      if (i < count[len]) {
+        return perm[offset[len] + i];
+      }
+    }
+
+    throw new Error(`${name}: invalid Huffman code`);
+  };
+}
+
+/*
+ * Shrink (method 1): LZW with 9 to 13-bit codes. Code 256
+ * escapes a control code: 1 grows the code size, 2 frees
+ * every leaf of the dictionary (partial clear).
+ */
+function unshrink(buf, cdir) {
+  const MAX_CODES = 1 << 13;
+  const CONTROL = 256;
+  const FREE = -1;
+
+  let size = num32b(cdir.sz_uncompress);
+  let out = outbuf(size);
+  let br = bitreader_lsb(buf, 'shrink');
+  let parent = new Int16Array(MAX_CODES).fill(FREE);
+  let value = new Uint8Array(MAX_CODES);
+  let stack = new Uint8Array(MAX_CODES);
+  for (let i=0; i<256; i++) {
+    parent[i] = CONTROL;
+    value[i] = i;
+  }
+
+  let codeSize = 9;
+  let lastFree = CONTROL;
+  let prev = -1;
+  let first = 0;
+  let pos = 0;
+
+  const partial_clear = () => {
+    let isParent = new Uint8Array(MAX_CODES);
+    for (let code=CONTROL+1; code<MAX_CODES; code++) {
+      if (parent[code] > CONTROL) {
+        isParent[parent[code]] = 1;
+      }
+    }
+    for (let code=CONTROL+1; code<MAX_CODES; code++) {
+      if (!isParent[code]) {
+        parent[code] = FREE;
+      }
+    }
+    lastFree = CONTROL;
+  };
+
+  while (pos < size) {
+    let code = br.bits(codeSize);
+
+    if (code === CONTROL) {
+      let control = br.bits(codeSize);
+      if (control === 1 && codeSize < 13) {
+        codeSize++;
+      } else if (control === 2) {
+        partial_clear();
+      } else {
+        throw new Error('shrink: invalid control code');
+      }
+      continue;
+    }
+
+    // 1) walk the code back to the root. A free code is the
+    //    one about to be added: previous string + its first
+    //    byte (KwKwK)
+    let sp = stack.length;
+    let cur = code;
+    if (parent[code] === FREE) {
+      if (prev === -1) {
+        throw new Error('shrink: invalid code');
+      }
+      stack[--sp] = first;
+      cur = prev;
+    }
+
+    while (cur !== CONTROL) {
+      if (parent[cur] === FREE || sp === 0) {
+        throw new Error('shrink: invalid code');
+      }
+      stack[--sp] = value[cur];
+      cur = parent[cur];
+    }
+
+    first = stack[sp];
+    let len = Math.min(stack.length - sp, size - pos);
+    out = growbuf(out, pos + len, size);
+    out.set(stack.subarray(sp, sp + len), pos);
+    pos += len;
+
+    // 2) add previous string + first byte in the lowest
+    //    free code
+    if (prev !== -1) {
+      let next = lastFree + 1;
+      while (next < MAX_CODES && parent[next] !== FREE) {
+        next++;
+      }
+
+      if (next < MAX_CODES) {
+        parent[next] = prev;
+        value[next] = first;
+        lastFree = next;
+      }
+    }
+    prev = code;
+  }
+
+  return out;
+}
+
+/*
+ * Reduce (methods 2 to 5): every byte is coded relative to
+ * the follower set of the previous byte, the byte stream
+ * then expands DLE (144) sequences to back references. The
+ * compression factor sets how many bits of a reference go
+ * to length and distance.
+ */
+function unreduce(buf, cdir) {
+  const DLE = 144;
+  const SZ_MATCH_MAX = 3 + 255 + 255;
+
+  let factor = cdir.compression - C_REDUCED_CFACTOR_1 + 1;
+  let lenMask = 0xff >>> factor;
+  let size = num32b(cdir.sz_uncompress);
+  let out = outbuf(size);
+  let br = bitreader_lsb(buf, 'reduce');
+
+  // 1) follower sets, stored from byte 255 down to 0
+  let followers = new Array(256);
+  for (let i=255; i>=0; i--) {
+    let n = br.bits(6);
+    followers[i] = getbuf(n);
+    for (let j=0; j<n; j++) {
+      followers[i][j] = br.bits(8);
+    }
+  }
+
+  const nextbyte = (last) => {
+    let set = followers[last];
+    if (set.length === 0 || br.bits(1) === 1) {
+      return br.bits(8);
+    }
+
+    let sz_idx = Math.max(1, 32 - Math.clz32(set.length - 1));
+    let idx = br.bits(sz_idx);
+    if (idx >= set.length) {
+      throw new Error('reduce: invalid follower index');
+    }
+    return set[idx];
+  };
+
+  // 2) expand the byte stream
+  let last = 0;
+  let pos = 0;
+  const next = () => (last = nextbyte(last));
+
+  while (pos < size) {
+    out = growbuf(out, pos + SZ_MATCH_MAX, size);
+    let c = next();
+    if (c !== DLE) {
+      out[pos++] = c;
+      continue;
+    }
+
+    let v = next();
+    if (v === 0) {
+      out[pos++] = DLE;
+      continue;
+    }
+
+    let len = v & lenMask;
+    if (len === lenMask) {
+      len += next();
+    }
+    len += 3;
+
+    let dist = ((v >>> (8 - factor)) << 8) + next() + 1;
+    for (let i=0; i<len && pos<size; i++, pos++) {
+      out[pos] = pos >= dist ? out[pos - dist] : 0;
+    }
+  }
+
+  return out;
+}
+
+/*
+ * Implode (method 6): LZ77 with a 4K or 8K window (general
+ * purpose bit 1) and Shannon-Fano coded lengths, distances
+ * and, with general purpose bit 2, literals. Codes are
+ * stored with their bits inverted.
+ */
+function explode(buf, cdir) {
+  const SZ_MATCH_MAX = 3 + 63 + 255;
+  let size = num32b(cdir.sz_uncompress);
+  let out = outbuf(size);
+  let br = bitreader_lsb(buf, 'implode');
+  let readbit = () => br.bits(1) ^ 1;
+
+  let isLiteralTree = getbit(cdir.flg_gen, 2) === 1;
+  let sz_dist_low = getbit(cdir.flg_gen, 1) === 1 ? 7 : 6;
+  let minLen = isLiteralTree ? 3 : 2;
+
+  // trees: byte count - 1, then bytes holding
+  // (number of codes - 1) << 4 | (code length - 1)
+  const readtree = (numCodes) => {
+    let lens = [];
+    let numBytes = br.bits(8) + 1;
+    for (let i=0; i<numBytes; i++) {
+      let byte = br.bits(8);
+      for (let n=(byte >>> 4) + 1; n>0; n--) {
+        lens.push((byte & 0x0f) + 1);
+      }
+    }
+
+    if (lens.length !== numCodes) {
+      throw new Error('implode: invalid Shannon-Fano tree');
+    }
+    return huffman(lens, 'implode');
+  };
+
+  let literalTree = isLiteralTree ? readtree(256) : null;
+  let lengthTree = readtree(64);
+  let distTree = readtree(64);
+
+  let pos = 0;
+  while (pos < size) {
+    out = growbuf(out, pos + SZ_MATCH_MAX, size);
+    if (br.bits(1) === 1) {
+      out[pos++] = literalTree ? literalTree(readbit) : br.bits(8);
+      continue;
+    }
+
+    let dist = br.bits(sz_dist_low);
+    dist |= distTree(readbit) << sz_dist_low;
+    dist += 1;
+
+    let len = lengthTree(readbit);
+    if (len === 63) {
+      len += br.bits(8);
+    }
+    len += minLen;
+
+    for (let i=0; i<len && pos<size; i++, pos++) {
+      out[pos] = pos >= dist ? out[pos - dist] : 0;
+    }
+  }
+
+  return out;
+}
+
+/*
+ * Deflate64 (method 9): deflate with a 64K window, length
+ * code 285 taking 16 extra bits and distance codes 30 and
+ * 31 in use.
+ */
+const INFLATE_LEN_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 3];
+const INFLATE_LEN_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 16];
+const INFLATE_DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+  8193, 12289, 16385, 24577, 32769, 49153];
+const INFLATE_DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14];
+const INFLATE_CLEN_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+function inflate64(buf, cdir) {
+  let size = num32b(cdir.sz_uncompress);
+  let out = outbuf(size);
+  let br = bitreader_lsb(buf, 'deflate64');
+  let readbit = () => br.bits(1);
+  let pos = 0;
+
+  const fixed = () => {
+    let lens = new Uint8Array(288);
+    lens.fill(8, 0, 144);
+    lens.fill(9, 144, 256);
+    lens.fill(7, 256, 280);
+    lens.fill(8, 280, 288);
+    return [huffman(lens, 'deflate64'), huffman(new Uint8Array(32).fill(5), 'deflate64')];
+  };
+
+  const dynamic = () => {
+    let hlit = br.bits(5) + 257;
+    let hdist = br.bits(5) + 1;
+    let hclen = br.bits(4) + 4;
+
+    let clens = new Uint8Array(19);
+    for (let i=0; i<hclen; i++) {
+      clens[INFLATE_CLEN_ORDER[i]] = br.bits(3);
+    }
+    let clenTree = huffman(clens, 'deflate64');
+
+    let lens = new Uint8Array(hlit + hdist);
+    for (let i=0; i<lens.length;) {
+      let sym = clenTree(readbit);
+      if (sym < 16) {
+        lens[i++] = sym;
+        continue;
+      }
+
+      let val = 0;
+      let rep;
+      if (sym === 16) {
+        if (i === 0) {
+          throw new Error('deflate64: invalid code lengths');
+        }
+        val = lens[i-1];
+        rep = 3 + br.bits(2);
+      } else if (sym === 17) {
+        rep = 3 + br.bits(3);
+      } else {
+        rep = 11 + br.bits(7);
+      }
+
+      if (i + rep > lens.length) {
+        throw new Error('deflate64: invalid code lengths');
+      }
+      lens.fill(val, i, i + rep);
+      i += rep;
+    }
+
+    return [
+      huffman(lens.subarray(0, hlit), 'deflate64'),
+      huffman(lens.subarray(hlit), 'deflate64')
+    ];
+  };
+
+  let isFinal = false;
+  while (!isFinal) {
+    isFinal = br.bits(1) === 1;
+    let type = br.bits(2);
+
+    if (type === 0) {
+      let hdr = br.bytes(4);
+      let len = lget16(hdr, 0);
+      if ((len ^ lget16(hdr, 2)) !== 0xffff || pos + len > size) {
+        throw new Error('deflate64: invalid stored block');
+      }
+      out = growbuf(out, pos + len, size);
+      out.set(br.bytes(len), pos);
+      pos += len;
+      continue;
+    }
+
+    if (type === 3) {
+      throw new Error('deflate64: invalid block type');
+    }
+
+    let [litTree, distTree] = type === 1 ? fixed() : dynamic();
+    for (;;) {
+      let sym = litTree(readbit);
+      if (sym < 256) {
+        if (pos >= size) {
+          throw new Error('deflate64: output exceeds entry size');
+        }
+        out = growbuf(out, pos + 1, size);
+        out[pos++] = sym;
+        continue;
+      }
+
+      if (sym === 256) {
+        break;
+      }
+
+      sym -= 257;
+      if (sym >= INFLATE_LEN_BASE.length) {
+        throw new Error('deflate64: invalid length code');
+      }
+      let len = INFLATE_LEN_BASE[sym] + br.bits(INFLATE_LEN_EXTRA[sym]);
+
+      let dsym = distTree(readbit);
+      let dist = INFLATE_DIST_BASE[dsym] + br.bits(INFLATE_DIST_EXTRA[dsym]);
+      if (dist > pos || pos + len > size) {
+        throw new Error('deflate64: invalid back reference');
+      }
+      out = growbuf(out, pos + len, size);
+
+      for (let i=0; i<len; i++, pos++) {
+        out[pos] = out[pos - dist];
+      }
+    }
+  }
+
+  if (pos !== size) {
+    throw new Error('deflate64: unexpected end of stream');
+  }
+
+  return out;
+}
+
+/*
+ * bzip2 (method 12): "BZh" + block size, then blocks of
+ * Huffman/MTF/RLE coded Burrows-Wheeler transformed data.
+ * Concatenated streams are decoded back to back, up to
+ * 'max' bytes of output.
+ */
+function bunzip2(buf, max) {
+  const BLOCK_MAGIC = [0x314159, 0x265359];
+  const EOS_MAGIC = [0x177245, 0x385090];
+  const RUNA = 0;
+  const RUNB = 1;
+  const GROUP_SIZE = 50;
+
+  let br = bitreader_msb(buf, 'bzip2');
+  let readbit = () => br.bits(1);
+  let chunks = [];
+  let sz_chunks = 0;
+
+  do {
+    if (br.bits(8) !== 0x42 || br.bits(8) !== 0x5a || br.bits(8) !== 0x68) {
+      throw new Error('bzip2: invalid stream header');
+    }
+
+    let level = br.bits(8) - 0x30;
+    if (level < 1 || level > 9) {
+      throw new Error('bzip2: invalid block size');
+    }
+
+    let tt = new Uint32Array(level * 100000);
+    for (;;) {
+      let magic = [br.bits(24), br.bits(24)];
+      // block or stream CRC, the entry CRC-32 is checked instead
+      br.bits(16);
+      br.bits(16);
+
+      if (magic[0] === EOS_MAGIC[0] && magic[1] === EOS_MAGIC[1]) {
+        break;
+      }
+
+      if (magic[0] !== BLOCK_MAGIC[0] || magic[1] !== BLOCK_MAGIC[1]) {
+        throw new Error('bzip2: invalid block header');
+      }
+
+      if (br.bits(1) === 1) {
+        throw new Error('bzip2: randomised blocks are not supported');
+      }
+
+      let origPtr = br.bits(24);
+
+      // 1) symbol map: which byte values occur in the block
+      let seqToUnseq = [];
+      let used16 = br.bits(16);
+      for (let i=0; i<16; i++) {
+        if (used16 & (0x8000 >> i)) {
+          let used = br.bits(16);
+          for (let j=0; j<16; j++) {
+            if (used & (0x8000 >> j)) {
+              seqToUnseq.push(i * 16 + j);
+            }
+          }
+        }
+      }
+
+      if (seqToUnseq.length === 0) {
+        throw new Error('bzip2: empty symbol map');
+      }
+
+      // 2) Huffman group selectors, MTF coded
+      let alphaSize = seqToUnseq.length + 2;
+      let nGroups = br.bits(3);
+      let nSelectors = br.bits(15);
+      if (nGroups < 2 || nGroups > 6 || nSelectors < 1) {
+        throw new Error('bzip2: invalid selectors');
+      }
+
+      let mtfGroups = [...Array(nGroups).keys()];
+      let selectors = new Uint8Array(nSelectors);
+      for (let i=0; i<nSelectors; i++) {
+        let j = 0;
+        while (br.bits(1) === 1) {
+          if (++j >= nGroups) {
+            throw new Error('bzip2: invalid selector');
+          }
+        }
+
+        let group = mtfGroups[j];
+        mtfGroups.splice(j, 1);
+        mtfGroups.unshift(group);
+        selectors[i] = group;
+      }
+
+      // 3) Huffman tables, delta coded code lengths
+      let tables = [];
+      for (let t=0; t<nGroups; t++) {
+        let lens = new Uint8Array(alphaSize);
+        let len = br.bits(5);
+        for (let i=0; i<alphaSize; i++) {
+          for (;;) {
+            if (len < 1 || len > 20) {
+              throw new Error('bzip2: invalid code length');
+            }
+            if (br.bits(1) === 0) {
+              break;
+            }
+            len += br.bits(1) === 1 ? -1 : 1;
+          }
+          lens[i] = len;
+        }
+        tables.push(huffman(lens, 'bzip2'));
+      }
+
+      // 4) symbols: RUNA/RUNB run lengths and MTF indices
+      let EOB = alphaSize - 1;
+      let mtf = [...Array(seqToUnseq.length).keys()];
+      let counts = new Uint32Array(256);
+      let nblock = 0;
+      let runLen = 0;
+      let runBit = 1;
+      let groupNo = -1;
+      let groupPos = 0;
+      let table = null;
+
+      const flushRun = () => {
+        if (runLen === 0) {
+          return;
+        }
+
+        if (nblock + runLen > tt.length) {
+          throw new Error('bzip2: block overflow');
+        }
+
+        let uc = seqToUnseq[mtf[0]];
+        counts[uc] += runLen;
+        tt.fill(uc, nblock, nblock + runLen);
+        nblock += runLen;
+        runLen = 0;
+        runBit = 1;
+      };
+
+      for (;;) {
+        if (groupPos === 0) {
+          if (++groupNo >= nSelectors) {
+            throw new Error('bzip2: selector overflow');
+          }
+          table = tables[selectors[groupNo]];
+          groupPos = GROUP_SIZE;
+        }
+        groupPos--;
+
+        let sym = table(readbit);
+        if (sym === RUNA || sym === RUNB) {
+          runLen += (sym + 1) * runBit;
+          runBit <<= 1;
+          if (runLen > tt.length) {
+            throw new Error('bzip2: block overflow');
+          }
+          continue;
+        }
+
+        flushRun();
+        if (sym === EOB) {
+          break;
+        }
+
+        if (nblock >= tt.length) {
+          throw new Error('bzip2: block overflow');
+        }
+
+        let v = mtf[sym - 1];
+        mtf.splice(sym - 1, 1);
+        mtf.unshift(v);
+
+        let uc = seqToUnseq[v];
+        counts[uc]++;
+        tt[nblock++] = uc;
+      }
+
+      if (origPtr >= nblock) {
+        throw new Error('bzip2: invalid BWT origin');
+      }
+
+      // 5) inverse Burrows-Wheeler transform
+      let cftab = new Uint32Array(256);
+      for (let i=0, sum=0; i<256; i++) {
+        cftab[i] = sum;
+        sum += counts[i];
+      }
+
+      for (let i=0; i<nblock; i++) {
+        let uc = tt[i] & 0xff;
+        tt[cftab[uc]++] |= (i << 8);
+      }
+
+      // 6) undo the initial run-length encoding: 4 equal bytes
+      //    are followed by a count of further repeats
+      let out = Buffer.allocUnsafe(nblock * 2);
+      let outLen = 0;
+      const emit = (byte) => {
+        if (sz_chunks + outLen >= max) {
+          throw size_error();
+        }
+
+        if (outLen === out.length) {
+          let grown = Buffer.allocUnsafe(out.length * 2);
+          out.copy(grown);
+          out = grown;
+        }
+        out[outLen++] = byte;
+      };
+
+      let tPos = tt[origPtr] >>> 8;
+      let last = -1;
+      let run = 0;
+      for (let k=0; k<nblock; k++) {
+        tPos = tt[tPos];
+        let ch = tPos & 0xff;
+        tPos >>>= 8;
+
+        if (run === 4) {
+          for (let n=0; n<ch; n++) {
+            emit(last);
+          }
+          run = 0;
+          last = -1;
+          continue;
+        }
+
+        if (ch === last) {
+          run++;
+        } else {
+          run = 1;
+          last = ch;
+        }
+        emit(ch);
+      }
+
+      chunks.push(out.subarray(0, outLen));
+      sz_chunks += outLen;
+    }
+
+    br.align();
+  } while (br.offset() + 4 <= buf.length && buf[br.offset()] === 0x42);
+
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+/*
+ * LZMA range decoder and LZMA decoder state, shared by LZMA
+ * (method 14) and LZMA2 (inside XZ, method 95). The output
+ * buffer doubles as the dictionary, as whole entries are
+ * decoded in memory.
+ */
+const LZMA_NUM_STATES = 12;
+const LZMA_MATCH_MIN = 2;
+
+function lzma_rangedecoder(buf, off) {
+  if (buf[off] !== 0) {
+    throw new Error('lzma: invalid range coder header');
+  }
+
+  let range = 0xffffffff;
+  let code = 0;
+  for (let i=1; i<5; i++) {
+    code = code * 256 + buf[off+i];
+  }
+  off += 5;
+
+  const normalize = () => {
+    if (range < 0x1000000) {
+      if (off >= buf.length) {
+        throw new Error('lzma: unexpected end of data');
+      }
+      range = range * 256;
+      code = code * 256 + buf[off++];
+    }
+  };
+
+  const bit = (probs, i) => {
+    let bound = (range >>> 11) * probs[i];
+    let b;
+    if (code < bound) {
+      range = bound;
+      probs[i] += (2048 - probs[i]) >> 5;
+      b = 0;
+    } else {
+      range -= bound;
+      code -= bound;
+      probs[i] -= probs[i] >> 5;
+      b = 1;
+    }
+    normalize();
+    return b;
+  };
+
+  return {
+    bit,
+    bittree: (probs, base, numBits) => {
+      let m = 1;
+      for (let i=0; i<numBits; i++) {
+        m = (m << 1) + bit(probs, base + m);
+      }
+      return m - (1 << numBits);
+    },
+    bittree_reverse: (probs, base, numBits) => {
+      let m = 1;
+      let sym = 0;
+      for (let i=0; i<numBits; i++) {
+        let b = bit(probs, base + m);
+        m = (m << 1) + b;
+        sym |= b << i;
+      }
+      return sym;
+    },
+    direct: (numBits) => {
+      let res = 0;
+      for (let i=0; i<numBits; i++) {
+        range = range >>> 1;
+        let b = code >= range ? 1 : 0;
+        if (b) {
+          code -= range;
+        }
+        res = ((res << 1) | b) >>> 0;
+        normalize();
+      }
+      return res;
+    },
+    isFinished: () => code === 0,
+    offset: () => off
+  };
+}
+
+function lzma_decoder(size) {
+  const SZ_MATCH_MAX = LZMA_MATCH_MIN + 271;
+
+  let out = outbuf(size);
+  let lc, lp, pb;
+  let probs = {};
+  let state = 0;
+  let reps = [0, 0, 0, 0];
+  let pos = 0;
+  let dictStart = 0;
+
+  const newprobs = (n) => new Uint16Array(n).fill(1024);
+  const newlen = () => ({
+    choice: newprobs(2),
+    low: newprobs(16 << 3),
+    mid: newprobs(16 << 3),
+    high: newprobs(256)
+  });
+
+  const setProps = (props) => {
+    if (props >= 9 * 5 * 5) {
+      throw new Error('lzma: invalid properties');
+    }
+
+    lc = props % 9;
+    props = Math.floor(props / 9);
+    lp = props % 5;
+    pb = Math.floor(props / 5);
+  };
+
+  const resetState = () => {
+    probs = {
+      literal: newprobs(0x300 << (lc + lp)),
+      isMatch: newprobs(LZMA_NUM_STATES << 4),
+      isRep: newprobs(LZMA_NUM_STATES),
+      isRepG0: newprobs(LZMA_NUM_STATES),
+      isRepG1: newprobs(LZMA_NUM_STATES),
+      isRepG2: newprobs(LZMA_NUM_STATES),
+      isRep0Long: newprobs(LZMA_NUM_STATES << 4),
+      posSlot: newprobs(4 << 6),
+      posSpecial: newprobs(1 + 114),
+      align: newprobs(16),
+      len: newlen(),
+      repLen: newlen()
+    };
+    state = 0;
+    reps = [0, 0, 0, 0];
+  };
+
+  const decodeLen = (rc, lenProbs, posState) => {
+    if (rc.bit(lenProbs.choice, 0) === 0) {
+      return rc.bittree(lenProbs.low, posState << 3, 3);
+    }
+    if (rc.bit(lenProbs.choice, 1) === 0) {
+      return 8 + rc.bittree(lenProbs.mid, posState << 3, 3);
+    }
+    return 16 + rc.bittree(lenProbs.high, 0, 8);
+  };
+
+  const decodeDist = (rc, len) => {
+    let lenState = Math.min(len, 3);
+    let posSlot = rc.bittree(probs.posSlot, lenState << 6, 6);
+    if (posSlot < 4) {
+      return posSlot;
+    }
+
+    let numDirect = (posSlot >>> 1) - 1;
+    let dist = ((2 | (posSlot & 1)) << numDirect) >>> 0;
+    if (posSlot < 14) {
+      return dist + rc.bittree_reverse(probs.posSpecial, dist - posSlot, numDirect);
+    }
+
+    dist += rc.direct(numDirect - 4) * 16;
+    return dist + rc.bittree_reverse(probs.align, 0, 4);
+  };
+
+  const literal = (rc) => {
+    let prevByte = pos > dictStart ? out[pos-1] : 0;
+    let litState = ((pos & ((1 << lp) - 1)) << lc) + (prevByte >>> (8 - lc));
+    let base = 0x300 * litState;
+    let sym = 1;
+
+    if (state >= 7) {
+      let matchByte = out[pos - reps[0] - 1];
+      while (sym < 0x100) {
+        let matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        let b = rc.bit(probs.literal, base + ((1 + matchBit) << 8) + sym);
+        sym = (sym << 1) | b;
+        if (matchBit !== b) {
+          break;
+        }
+      }
+    }
+
+    while (sym < 0x100) {
+      sym = (sym << 1) | rc.bit(probs.literal, base + sym);
+    }
+
+    out[pos++] = sym - 0x100;
+    state = state < 4 ? 0 : (state < 10 ? state - 3 : state - 6);
+  };
+
+  return {
+    setProps,
+    resetState,
+    resetDict: () => {
+      dictStart = pos;
+    },
+    position: () => pos,
+    output: () => out.subarray(0, pos),
+    // uncompressed data
+    write: (bytes) => {
+      out = growbuf(out, pos + bytes.length, size);
+      out.set(bytes, pos);
+      pos += bytes.length;
+    },
+    /*
+     * Decode until 'end' bytes of output or the end marker.
+     * Returns true if the end marker was found.
+     */
+    decode: (rc, end) => {
+      while (pos < end) {
+        out = growbuf(out, pos + SZ_MATCH_MAX, size);
+        let posState = pos & ((1 << pb) - 1);
+
+        if (rc.bit(probs.isMatch, (state << 4) + posState) === 0) {
+          literal(rc);
+          continue;
+        }
+
+        let len;
+        if (rc.bit(probs.isRep, state) === 0) {
+          len = decodeLen(rc, probs.len, posState);
+          state = state < 7 ? 7 : 10;
+
+          let dist = decodeDist(rc, len);
+          if (dist === 0xffffffff) {
+            return true;
+          }
+          reps = [dist, reps[0], reps[1], reps[2]];
+        } else {
+          if (pos === dictStart) {
+            throw new Error('lzma: invalid repeated match');
+          }
+
+          if (rc.bit(probs.isRepG0, state) === 0) {
+            if (rc.bit(probs.isRep0Long, (state << 4) + posState) === 0) {
+              state = state < 7 ? 9 : 11;
+              out[pos] = out[pos - reps[0] - 1];
+              pos++;
+              continue;
+            }
+          } else {
+            let dist;
+            if (rc.bit(probs.isRepG1, state) === 0) {
+              dist = reps[1];
+            } else if (rc.bit(probs.isRepG2, state) === 0) {
+              dist = reps[2];
+              reps[2] = reps[1];
+            } else {
+              dist = reps[3];
+              reps[3] = reps[2];
+              reps[2] = reps[1];
+            }
+            reps[1] = reps[0];
+            reps[0] = dist;
+          }
+
+          len = decodeLen(rc, probs.repLen, posState);
+          state = state < 7 ? 8 : 11;
+        }
+
+        let src = pos - reps[0] - 1;
+        if (src < dictStart) {
+          throw new Error('lzma: match distance out of range');
+        }
+
+        len += LZMA_MATCH_MIN;
+        if (pos + len > end) {
+          throw new Error('lzma: match exceeds output size');
+        }
+
+        for (let i=0; i<len; i++) {
+          out[pos++] = out[src++];
+        }
+      }
+
+      return false;
+    }
+  };
+}
+
+/*
+ * LZMA as stored in zip: 2-byte LZMA SDK version, 2-byte
+ * properties size, 5-byte properties (lc/lp/pb, dictionary
+ * size), then the range coded data. General purpose bit 1
+ * tells an end marker follows the data.
+ */
+function unlzma(buf, cdir) {
+  if (buf.length < 9 || lget16(buf, 2) !== 5) {
+    throw new Error('lzma: invalid properties header');
+  }
+
+  let size = num32b(cdir.sz_uncompress);
+  let lzma = lzma_decoder(size);
+  lzma.setProps(buf[4]);
+  lzma.resetState();
+
+  let rc = lzma_rangedecoder(buf, 9);
+  let isEnd = lzma.decode(rc, size);
+  if (!isEnd && getbit(cdir.flg_gen, 1) === 1) {
+    // end marker still follows the full output
+    isEnd = lzma.decode(rc, size + 1);
+  }
+
+  if (lzma.position() !== size) {
+    throw new Error('lzma: unexpected end of stream');
+  }
+
+  return lzma.output();
+}
+
+/*
+ * LZMA2: a sequence of chunks, each either uncompressed or
+ * LZMA with its own range coder, optionally resetting the
+ * dictionary, the decoder state and properties.
+ */
+function unlzma2(buf, off, lzma, size) {
+  let isProps = false;
+
+  for (;;) {
+    let control = buf[off++];
+    if (control === undefined) {
+      throw new Error('lzma2: unexpected end of data');
+    }
+
+    if (control === 0x00) {
+      return off;
+    }
+
+    if (control === 0x01 || control === 0x02) {
+      // uncompressed chunk, 0x01 resets the dictionary
+      let len = ((buf[off] << 8) | buf[off+1]) + 1;
+      off += 2;
+      if (control === 0x01) {
+        lzma.resetDict();
+      }
+
+      if (lzma.position() + len > size || off + len > buf.length) {
+        throw new Error('lzma2: chunk exceeds output size');
+      }
+      lzma.write(buf.subarray(off, off + len));
+      off += len;
+      continue;
+    }
+
+    if (control < 0x80) {
+      throw new Error('lzma2: invalid chunk');
+    }
+
+    let unpacked = ((control & 0x1f) << 16) + ((buf[off] << 8) | buf[off+1]) + 1;
+    let packed = ((buf[off+2] << 8) | buf[off+3]) + 1;
+    off += 4;
+
+    let reset = (control >>> 5) & 0x3;
+    if (reset === 3) {
+      lzma.resetDict();
+    }
+    if (reset >= 2) {
+      let props = buf[off++];
+      let lc = props % 9;
+      let lp = Math.floor(props / 9) % 5;
+      if (lc + lp > 4) {
+        throw new Error('lzma2: invalid properties');
+      }
+      lzma.setProps(props);
+      isProps = true;
+    }
+    if (!isProps) {
+      throw new Error('lzma2: missing properties');
+    }
+    if (reset >= 1) {
+      lzma.resetState();
+    }
+
+    let end = lzma.position() + unpacked;
+    if (end > size) {
+      throw new Error('lzma2: chunk exceeds output size');
+    }
+
+    let rc = lzma_rangedecoder(buf.subarray(0, off + packed), off);
+    if (lzma.decode(rc, end) || lzma.position() !== end) {
+      throw new Error('lzma2: invalid chunk');
+    }
+    off += packed;
+  }
+}
+
+/*
+ * XZ (method 95): stream header, blocks of LZMA2 data each
+ * followed by its check, index and stream footer. Only the
+ * LZMA2 filter is supported; the check itself is skipped,
+ * the entry CRC-32 covers the output.
+ */
+const XZ_MAGIC = [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00];
+const XZ_CHECK_SIZES = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+const XZ_FILTER_LZMA2 = 0x21;
+
+function unxz(buf, cdir) {
+  const varint = () => {
+    let num = 0;
+    for (let i=0, mul=1; i<9; i++, mul*=128) {
+      let byte = buf[off++];
+      num += (byte & 0x7f) * mul;
+      if ((byte & 0x80) === 0) {
+        return num;
+      }
+    }
+    throw new Error('xz: invalid integer');
+  };
+
+  let size = num32b(cdir.sz_uncompress);
+  let lzma = lzma_decoder(size);
+  let off = 0;
+
+  while (off < buf.length) {
+    // stream header
+    if (!XZ_MAGIC.every((byte, i) => buf[off+i] === byte)) {
+      throw new Error('xz: invalid stream header');
+    }
+    let sz_check = XZ_CHECK_SIZES[buf[off+7] & 0x0f];
+    off += 12;
+
+    // blocks, until the index indicator
+    while (buf[off] !== 0x00) {
+      let blockStart = off;
+      let sz_hdr = (buf[off] + 1) * 4;
+      let flags = buf[off+1];
+      off += 2;
+
+      if (flags & 0x40) {
+        varint(); // compressed size
+      }
+      if (flags & 0x80) {
+        varint(); // uncompressed size
+      }
+
+      let numFilters = (flags & 0x03) + 1;
+      for (let i=0; i<numFilters; i++) {
+        let id = varint();
+        let sz_props = varint();
+        if (id !== XZ_FILTER_LZMA2 || i !== numFilters - 1) {
+          throw new Error(`xz: unsupported filter 0x${id.toString(16)}`);
+        }
+        off += sz_props;
+      }
+
+      off = blockStart + sz_hdr;
+      lzma.resetDict();
+      off = unlzma2(buf, off, lzma, size);
+
+      // block padding, then check
+      off = blockStart + Math.ceil((off - blockStart) / 4) * 4;
+      off += sz_check;
+    }
+
+    // index: indicator, records, padding, CRC-32
+    let indexStart = off++;
+    let numRecords = varint();
+    for (let i=0; i<numRecords; i++) {
+      varint();
+      varint();
+    }
+    off = indexStart + Math.ceil((off - indexStart) / 4) * 4 + 4;
+
+    // stream footer, then stream padding
+    off += 12;
+    while (off < buf.length && buf[off] === 0x00) {
+      off++;
+    }
+  }
+
+  if (lzma.position() !== size) {
+    throw new Error('xz: unexpected end of stream');
+  }
+
+  return lzma.output();
+}
+
+/*
+ * Zstandard (method 93), only where zlib provides it (Node.js
+ * 22.15 / 23.8 and later).
+ */
+function zstd_check() {
+  if (typeof zlib.zstdDecompressSync !== 'function') {
+    throw new Error('Zstandard is not supported by this Node.js version');
+  }
+}
+
+/*
+ * One-shot zlib decompression, capped at the declared size
+ * of the entry.
+ */
+function zlib_sync(decompress, buf, cdir) {
+  let max = Math.min(num32b(cdir.sz_uncompress), buffer.constants.MAX_LENGTH);
+  try {
+    return decompress(buf, {maxOutputLength: Math.max(max, 1)});
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw size_error();
+    }
+    throw err;
+  }
+}
+
+/*
+ * Compression methods, keyed by method number:
+ *
+ *  decompress(buf, cdir): whole-entry decoder, returns the
+ *    uncompressed bytes. Should stop at cdir.sz_uncompress
+ *    bytes, more is rejected.
+ *  stream(cdir): optional, returns a Transform decoding the
+ *    entry incrementally. Methods without one are buffered
+ *    and handed to decompress() at the end of the stream.
+ */
+const compressions = new Map();
+
+function register_compression(method, codec) {
+  compressions.set(method, codec);
+}
+
+register_compression(C_STORE, {
+  decompress: (buf) => buf,
+  stream: () => new stream.PassThrough()
+});
+
+register_compression(C_DEFLATE, {
+  decompress: (buf, cdir) => zlib_sync(zlib.inflateRawSync, buf, cdir),
+  stream: () => zlib.createInflateRaw()
+});
+
+register_compression(C_SHRUNK, {
+  decompress: (buf, cdir) => unshrink(buf, cdir)
+});
+
+for (let method of [
+  C_REDUCED_CFACTOR_1,
+  C_REDUCED_CFACTOR_2,
+  C_REDUCED_CFACTOR_3,
+  C_REDUCED_CFACTOR_4
+]) {
+  register_compression(method, {
+    decompress: (buf, cdir) => unreduce(buf, cdir)
+  });
+}
+
+register_compression(C_IMPLODED, {
+  decompress: (buf, cdir) => explode(buf, cdir)
+});
+
+register_compression(C_DEFLATE_64, {
+  decompress: (buf, cdir) => inflate64(buf, cdir)
+});
+
+register_compression(C_BZIP2, {
+  decompress: (buf, cdir) => bunzip2(buf, num32b(cdir.sz_uncompress))
+});
+
+register_compression(C_LZMA, {
+  decompress: (buf, cdir) => unlzma(buf, cdir)
+});
+
+register_compression(C_XZ, {
+  decompress: (buf, cdir) => unxz(buf, cdir)
+});
+
+register_compression(C_ZSTD, {
+  decompress: (buf, cdir) => {
+    zstd_check();
+    return zlib_sync(zlib.zstdDecompressSync, buf, cdir);
+  },
+  stream: () => {
+    zstd_check();
+    return zlib.createZstdDecompress();
+  }
+});
+
+function getcompression(method) {
+  let codec = compressions.get(method);
+  if (!codec) {
+    throw new Error('Invalid compression method');
+  }
+
+  return codec;
+}
+
+/*
+ * Methods without a stream decoder hold the whole entry,
+ * compressed and uncompressed, in memory: larger entries
+ * are refused up front rather than buffered.
+ */
+const SZ_STREAM_BUFFER_MAX = SZ_GB_1;
+
+function decompress_stream(codec, cdir) {
+  if (codec.stream) {
+    return codec.stream(cdir);
+  }
+
+  if (BInt_max(cdir.sz_compress, cdir.sz_uncompress) > bint(SZ_STREAM_BUFFER_MAX)) {
+    throw zip_error('ERR_ZIP_ENTRY_TOO_LARGE_FOR_MEMORY',
+      `Entry too large to stream without a stream decoder: ${cdir.filename}`);
+  }
+
+  let chunks = [];
+  return new stream.Transform({
+    transform: (chunk, enc, cb) => {
+      chunks.push(chunk);
+      cb();
+    },
+    flush: (cb) => {
+      try {
+        cb(null, Buffer.from(codec.decompress(new Uint8Array(Buffer.concat(chunks)), cdir)));
+      } catch (err) {
+        cb(err);
+      }
+    }
+  });
+}
+///////////////////////////////////////
+
+
+/**
+ * Byte source ("reader") interface. Archives are only ever
+ * read through these three methods, so any random-access
+ * store can back zipEOCD():
+ *
+ *  head(buf, off, len): read up to 'len' bytes starting 'off'
+ *    bytes from the start of the source into buf[0...].
+ *    'off' may be a Number or a BigInt.
+ *  tail(buf, off, len): read up to 'len' bytes ending 'off'
+ *    bytes from the end of the source into buf[0...].
+ *  close(): release the source. Optional.
+ *  size(): total size in bytes. Optional, only required of
+ *    the volumes of a multi-volume archive.
+ *
+ * head() and tail() return the number of bytes read, or -1
+ * if 'off' is out of bounds or the read failed. When used
+ * with zipEOCD.open() they may return a Promise instead.
+ */
+function randomAccessFile(filepath) {
+  filepath = path.resolve(filepath);
+  let fd = fs.openSync(filepath, 'r', 0o666);
+
+  return {
+    ...randomAccessFd(fd),
+    close: () => {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+/*
+ * fs.readSync() of 'len' bytes at 'pos', in chunks of at
+ * most SZ_GB_1 as a single read is capped below 2 GB.
+ */
+function readfully(fd, buf, len, pos) {
+  let off = 0;
+  while (off < len) {
+    let n = fs.readSync(fd, buf, off, Math.min(len - off, SZ_GB_1), pos + off);
+    if (n === 0) {
+      break;
+    }
+    off += n;
+  }
+
+  return off;
+}
+
+async function readfullyAsync(fh, buf, len, pos) {
+  let off = 0;
+  while (off < len) {
+    let {bytesRead} = await fh.read(buf, off, Math.min(len - off, SZ_GB_1), pos + off);
+    if (bytesRead === 0) {
+      break;
+    }
+    off += bytesRead;
+  }
+
+  return off;
+}
+
+/*
+ * Reader over a caller-owned file descriptor. close() leaves
+ * the descriptor open, it is up to the caller to close it.
+ */
+function randomAccessFd(fd) {
+  let {size: filesize} = fs.fstatSync(fd);
+
+  return {
+    head: (buf, off, len) => {
+      off = num32b(off);
+      if (!Number.isSafeInteger(off)) {
+        throw new Error('offset is too big!');
+      }
+
+      try {
+        if (off > filesize || off < 0 || len < 0) {
+          return -1;
+        }
+
+        len = Math.min(filesize, off+len) - off;
+        return readfully(fd, buf, len, off);
+      } catch (err) {
+        return -1
+      }
+    },
+    tail: (buf, off, len) => {
+      try {
+        if (off > filesize || off < 0 || len < 0) {
+          return -1;
+        }
+
+        let end = filesize - off;
+        off = Math.max(end - len, 0);
+        len = end - off;
+        return readfully(fd, buf, len, off);
+      } catch (err) {
+        return -1;
+      }
+    },
+    size: () => filesize,
+    close: () => {}
+  }
+}
+
+function randomAccessBuffer(data) {
+  let size = data.byteLength;
+
+  const read = (buf, off, len) => {
+    buf.set(data.subarray(off, off+len));
+    return len;
+  };
+
+  return {
+    head: (buf, off, len) => {
+      off = num32b(off);
+      if (off > size || off < 0 || len < 0) {
+        return -1;
+      }
+
+      len = Math.min(size, off+len) - off;
+      return read(buf, off, len);
+    },
+    tail: (buf, off, len) => {
+      if (off > size || off < 0 || len < 0) {
+        return -1;
+      }
+
+      let end = size - off;
+      off = Math.max(end - len, 0);
+      len = end - off;
+      return read(buf, off, len);
+    },
+    size: () => size,
+    close: () => {}
+  }
+}
+
+/*
+ * Reader over the volumes of a split or spanned archive,
+ * in disk order, presented as one source with the volumes
+ * back to back. disk(num) gives where disk 'num' starts, as
+ * offsets in the archive records are relative to their
+ * disk. Reads running past the end of a volume continue on
+ * the next one.
+ */
+function randomAccessVolumes(readers) {
+  let starts = [];
+  let total = 0;
+  for (let reader of readers) {
+    if (typeof reader.size !== 'function') {
+      throw new Error('Volume readers must implement size()');
+    }
+
+    starts.push(total);
+    total += reader.size();
+  }
+
+  const head = (buf, off, len) => {
+    off = num32b(off);
+    if (off > total || off < 0 || len < 0) {
+      return -1;
+    }
+
+    len = Math.min(total, off+len) - off;
+    let read = 0;
+    let i = starts.length - 1;
+    while (starts[i] > off) {
+      i--;
+    }
+
+    // volumes may be synchronous or asynchronous
+    const next = () => {
+      while (read < len) {
+        while (i + 1 < starts.length && starts[i+1] <= off + read) {
+          i++;
+        }
+
+        let end = i + 1 < starts.length ? starts[i+1] : total;
+        let n = Math.min(len - read, end - (off + read));
+        let ret = readers[i].head(buf.subarray(read), off + read - starts[i], n);
+        if (ret instanceof Promise) {
+          return ret.then((n) => {
+            if (n <= 0) {
+              return -1;
+            }
+            read += n;
+            return next();
+          });
+        }
+
+        if (ret <= 0) {
+          return -1;
+        }
+        read += ret;
+      }
+
+      return read;
+    };
+
+    return next();
+  };
+
+  return {
+    head,
+    tail: (buf, off, len) => {
+      if (off > total || off < 0 || len < 0) {
+        return -1;
+      }
+
+      let end = total - off;
+      off = Math.max(end - len, 0);
+      return head(buf, off, end - off);
+    },
+    size: () => total,
+    disk: (num) => {
+      num = num32b(num);
+      if (num >= starts.length) {
+        throw new Error(`Volume for disk ${num + 1} not found`);
+      }
+
+      return bint(starts[num]);
+    },
+    close: () => {
+      let rets = readers.map((reader) => reader.close && reader.close());
+      if (rets.some((ret) => ret instanceof Promise)) {
+        return Promise.all(rets).then(() => {});
+      }
+    }
+  };
+}
+
+/*
+ * Sibling volumes of a split archive: for 'name.zip',
+ * 'name.z01', 'name.z02', ... in disk order, followed by
+ * 'name.zip' itself, the last disk. Just the path if there
+ * is no 'name.z01'.
+ */
+function volumepaths(filepath) {
+  let ext = path.extname(filepath);
+  if (ext.toLowerCase() !== '.zip') {
+    return [filepath];
+  }
+
+  let base = filepath.slice(0, -ext.length);
+  let z = ext[1] === 'Z' ? 'Z' : 'z';
+  let paths = [];
+  for (let i=1; ; i++) {
+    let volume = `${base}.${z}${String(i).padStart(2, '0')}`;
+    if (!fs.existsSync(volume)) {
+      break;
+    }
+    paths.push(volume);
+  }
+
+  return [...paths, filepath];
+}
+
+/*
+ * Offset of 'off' on disk 'disk' within the byte source.
+ * Disk numbers only matter to multi-volume sources, single
+ * files are read as one disk whatever the records say.
+ */
+function diskoff(sb, disk, off) {
+  return sb.disk ? sb.disk(disk) + bint(off) : off;
+}
+
+function isreader(src) {
+  return src !== null
+    && typeof src === 'object'
+    && typeof src.head === 'function'
+    && typeof src.tail === 'function';
+}
+
+/*
+ * Volumes opened with 'open', as one reader. Volumes
+ * already open are closed again if one fails.
+ */
+function openvolumes(srcs, open) {
+  let readers = [];
+  try {
+    for (let src of srcs) {
+      readers.push(open(src));
+    }
+    return randomAccessVolumes(readers);
+  } catch (err) {
+    readers.forEach((reader) => reader.close());
+    throw err;
+  }
+}
+
+/*
+ * Resolve a zip source to a reader: a file path, an open
+ * file descriptor, a Buffer/Uint8Array or an object which
+ * already implements the reader interface.
+ */
+function bytesource(src) {
+  if (typeof src === 'string') {
+    let paths = volumepaths(src);
+    return paths.length > 1
+      ? openvolumes(paths, randomAccessFile)
+      : randomAccessFile(src);
+  }
+
+  // paths in a list of volumes are taken as they are
+  if (Array.isArray(src)) {
+    return openvolumes(src, (volume) => typeof volume === 'string'
+      ? randomAccessFile(volume)
+      : bytesource(volume));
+  }
+
+  if (Number.isInteger(src)) {
+    return randomAccessFd(src);
+  }
+
+  if (src instanceof Uint8Array) {
+    return randomAccessBuffer(src);
+  }
+
+  if (isreader(src)) {
+    return {
+      head: (buf, off, len) => src.head(buf, off, len),
+      tail: (buf, off, len) => src.tail(buf, off, len),
+      ...(src.size && {size: () => src.size()}),
+      ...(src.disk && {disk: (num) => src.disk(num)}),
+      close: () => src.close && src.close()
+    };
+  }
+
+  throw new Error('Unsupported zip source');
+}
+
+async function randomAccessFileAsync(filepath) {
+  filepath = path.resolve(filepath);
+  let fh = await fs.promises.open(filepath, 'r', 0o666);
+  let filesize;
+  try {
+    ({size: filesize} = await fh.stat());
+  } catch (err) {
+    await fh.close();
+    throw err;
+  }
+
+  return {
+    head: async (buf, off, len) => {
+      off = num32b(off);
+      if (!Number.isSafeInteger(off)) {
+        throw new Error('offset is too big!');
+      }
+
+      try {
+        if (off > filesize || off < 0 || len < 0) {
+          return -1;
+        }
+
+        len = Math.min(filesize, off+len) - off;
+        return await readfullyAsync(fh, buf, len, off);
+      } catch (err) {
+        return -1;
+      }
+    },
+    tail: async (buf, off, len) => {
+      try {
+        if (off > filesize || off < 0 || len < 0) {
+          return -1;
+        }
+
+        let end = filesize - off;
+        off = Math.max(end - len, 0);
+        len = end - off;
+        return await readfullyAsync(fh, buf, len, off);
+      } catch (err) {
+        return -1;
+      }
+    },
+    size: () => filesize,
+    close: () => fh.close()
+  }
+}
+
+async function openvolumesAsync(srcs, open) {
+  let results = await Promise.all(srcs.map((src) => open(src).then(
+    (reader) => ({reader}),
+    (err) => ({err}))));
+  let readers = results
+    .filter((result) => result.err === undefined)
+    .map((result) => result.reader);
+
+  try {
+    let failed = results.find((result) => result.err !== undefined);
+    if (failed) {
+      throw failed.err;
+    }
+    return randomAccessVolumes(readers);
+  } catch (err) {
+    await Promise.all(readers.map((reader) => reader.close()));
+    throw err;
+  }
+}
+
+/*
+ * Async counterpart of bytesource(), opening file paths
+ * (and those in lists of volumes) with fs.promises.
+ */
+async function bytesourceAsync(src) {
+  if (typeof src === 'string') {
+    let paths = volumepaths(src);
+    return paths.length > 1
+      ? openvolumesAsync(paths, randomAccessFileAsync)
+      : randomAccessFileAsync(src);
+  }
+
+  if (Array.isArray(src)) {
+    return openvolumesAsync(src, (volume) => typeof volume === 'string'
+      ? randomAccessFileAsync(volume)
+      : bytesourceAsync(volume));
+  }
+
+  return bytesource(src);
+}
+
+/*
+ * Byte sink ("writer") interface, the counterpart of the
+ * reader interface used by zipWriter():
+ *
+ *  write(buf): append buf to the sink.
+ *  close(): finish writing. Returns the written bytes for
+ *    in-memory sinks.
+ */
+function writableFile(filepath) {
+  filepath = path.resolve(filepath);
+  let fd = fs.openSync(filepath, 'w', 0o666);
+
+  return {
+    ...writableFd(fd),
+    close: () => {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+function writableFd(fd) {
+  return {
+    write: (buf) => {
+      let off = 0;
+      while (off < buf.byteLength) {
+        off += fs.writeSync(fd, buf, off, buf.byteLength - off);
+      }
+    },
+    close: () => {}
+  };
+}
+
+function writableBuffer() {
+  let chunks = [];
+
+  return {
+    write: (buf) => {
+      chunks.push(Buffer.from(buf));
+    },
+    close: () => Buffer.concat(chunks)
+  };
+}
+
+function bytesink(dest) {
+  if (dest === undefined || dest === null) {
+    return writableBuffer();
+  }
+
+  if (typeof dest === 'string') {
+    return writableFile(dest);
+  }
+
+  if (Number.isInteger(dest)) {
+    return writableFd(dest);
+  }
+
+  if (dest !== null && typeof dest === 'object' && typeof dest.write === 'function') {
+    return {
+      write: (buf) => dest.write(buf),
+      close: () => dest.close && dest.close()
+    };
+  }
+
+  throw new Error('Unsupported zip destination');
+}
+
+const unix_to_date = (secs) => new Date(secs * 1000);
+const filetime_to_date = (ft) => ft === 0n
+  ? null
+  : new Date(num32b((ft - FILETIME_UNIX_EPOCH) / 10000n));
+
+/*
+ * Timestamps from the extra fields, in order of preference:
+ * NTFS (100ns), extended timestamp (1s, UTC), UNIX (1s). The
+ * DOS fields (2s, local time) are the fallback set by the
+ * LOC and CDIR parsers.
+ */
+function times_ext(ntfs, xtime, unix) {
+  for (let [times, time_src] of [[ntfs, 'ntfs'], [xtime, 'extended'], [unix, 'unix']]) {
+    if (times !== null && times.mtime) {
+      return {
+        mtime: times.mtime,
+        atime: times.atime || null,
+        ctime: times.ctime || null,
+        time_src
+      };
+    }
+  }
+
+  return {};
+}
+
+/*
+ * Extra field registry, keyed by header ID. A decoder takes
+ * the field's data (without the 4-byte header) and the LOC
+ * or CDIR record it belongs to, and returns the parsed value,
+ * or null if the data is malformed.
+ */
+const extra_fields = new Map();
+
+function register_extra(id, name, decode = null) {
+  extra_fields.set(id, {name, decode});
+}
+
+register_extra(EXTSIG_ZIP64, 'zip64', (buf, record) => {
+  /*
+   * From ZIP specification:
+   * ------------------------------------------------------
+   * If one of the size or offset fields in the Local (LOC)
+   * or Central Directory (CDIR) record is too small to hold
+   * the required data, a Zip64 extended information record
+   * is created.
+   *
+   * The order of the fields in the zip64 extended iformation
+   * record is fixed, but the fields MUST only appear if the
+   * corresponding Local (LOC) or Central Directory (CDIR)
+   * record field is set to:
+   *    - 0xFFFF (for 2-byte/16-bit fields), or
+   *    - 0xFFFFFFFF (for 4-byte/32-bit fields)
+   */
+  let zip64_ext = {};
+  let _off = 0;
+  if (record.sz_uncompress === V_32BIT_MAX_BINT && _off + 8 <= buf.length) {
+    zip64_ext.sz_uncompress = lget64_bint(buf, _off);
+    _off += 8;
+  }
+
+  if (record.sz_compress === V_32BIT_MAX_BINT && _off + 8 <= buf.length) {
+    zip64_ext.sz_compress = lget64_bint(buf, _off);
+    _off += 8;
+  }
+
+  if (record.off_loc === V_32BIT_MAX_BINT && _off + 8 <= buf.length) {
+    zip64_ext.off_loc = lget64_bint(buf, _off);
+    _off += 8;
+  }
+
+  if (record.num_disk === V_16BIT_MAX && _off + 4 <= buf.length) {
+    zip64_ext.num_disk = lget32(buf, _off) >>> 0;
+    _off += 4;
+  }
+
+  return zip64_ext;
+});
+
+register_extra(EXTSIG_NTFS, 'ntfs', (buf) => {
+  /*
+   * 4 bytes reserved, followed by tagged attributes.
+   * Tag 0x0001 holds mtime, atime and ctime as Windows
+   * FILETIMEs (100ns intervals since 1601-01-01 UTC)
+   */
+  let _off = 4;
+  while (_off + 4 <= buf.length) {
+    let tag = lget16(buf, _off);
+    let sz_tag = lget16(buf, _off+2);
+    if (tag === 0x0001 && sz_tag >= 24 && _off + 28 <= buf.length) {
+      return {
+        mtime: filetime_to_date(lget64_bint(buf, _off+4)),
+        atime: filetime_to_date(lget64_bint(buf, _off+12)),
+        ctime: filetime_to_date(lget64_bint(buf, _off+20))
+      };
+    }
+    _off += 4 + sz_tag;
+  }
+
+  return null;
+});
+
+register_extra(EXTSIG_UNIX, 'unix', (buf) => {
+  /*
+   * atime, mtime (unsigned 32-bit UNIX time), uid, gid,
+   * then variable data: device numbers or link target
+   */
+  if (buf.length < 12) {
+    return null;
+  }
+
+  return {
+    atime: unix_to_date(lget32(buf, 0) >>> 0),
+    mtime: unix_to_date(lget32(buf, 4) >>> 0),
+    uid: lget16(buf, 8),
+    gid: lget16(buf, 10),
+    data: buf.subarray(12)
+  };
+});
+
+register_extra(EXTSIG_XTIME, 'extended_timestamp', (buf) => {
+  /*
+   * Info-ZIP extended timestamp: a flags byte telling
+   * which of mtime, atime, ctime (bits 0-2) are set,
+   * then each as a signed 32-bit UNIX time. The CDIR
+   * copy carries the LOC flags but only the mtime.
+   */
+  if (buf.length < 1) {
+    return null;
+  }
+
+  let xtime = {flags: buf[0]};
+  let _off = 1;
+  for (let [bit, field] of [[0, 'mtime'], [1, 'atime'], [2, 'ctime']]) {
+    if (getbit(xtime.flags, bit) === 1 && _off + 4 <= buf.length) {
+      xtime[field] = unix_to_date(lget32(buf, _off));
+      _off += 4;
+    }
+  }
+
+  return xtime;
+});
+
+register_extra(EXTSIG_INFOZIP_UNIX, 'infozip_unix', (buf) => {
+  // version, then uid and gid, each prefixed with its size
+  const lgetn = (_off, size) => {
+    let num = 0;
+    for (let i=size-1; i>=0; --i) {
+      num = num * 256 + buf[_off+i];
+    }
+    return num;
+  };
+
+  if (buf.length < 2) {
+    return null;
+  }
+
+  let sz_uid = buf[1];
+  if (2 + sz_uid + 1 > buf.length) {
+    return null;
+  }
+
+  let sz_gid = buf[2 + sz_uid];
+  if (2 + sz_uid + 1 + sz_gid > buf.length) {
+    return null;
+  }
+
+  return {
+    version: buf[0],
+    uid: lgetn(2, sz_uid),
+    gid: lgetn(3 + sz_uid, sz_gid)
+  };
+});
+
+register_extra(EXTSIG_UNICODE_PATH, 'unicode_path', (buf) => {
+  // version, CRC-32 of the header's filename, UTF-8 filename
+  if (buf.length < 5) {
+    return null;
+  }
+
+  return {
+    version: buf[0],
+    crc_32: lget32(buf, 1),
+    filename: cp_buf_str(buf, 5, buf.length - 5)
+  };
+});
+
+register_extra(EXTSIG_UNICODE_COMMENT, 'unicode_comment', (buf) => {
+  // version, CRC-32 of the header's comment, UTF-8 comment
+  if (buf.length < 5) {
+    return null;
+  }
+
+  return {
+    version: buf[0],
+    crc_32: lget32(buf, 1),
+    comment: cp_buf_str(buf, 5, buf.length - 5)
+  };
+});
+
+register_extra(EXTSIG_ALIGNMENT, 'alignment', (buf) => {
+  // Android zipalign: alignment, then zero padding
+  if (buf.length < 2) {
+    return null;
+  }
+
+  return {
+    alignment: lget16(buf, 0) & 0x7fff,
+    sz_padding: buf.length - 2
+  };
+});
+
+register_extra(EXTSIG_AES, 'aes', (buf) => {
+  /*
+   * WinZip AES: vendor version (1 = AE-1, 2 = AE-2), vendor
+   * ID 'AE', strength (1-3 = AES-128/192/256), and the
+   * compression method applied before encryption
+   */
+  if (buf.length < 7) {
+    return null;
+  }
+
+  return {
+    version: lget16(buf, 0),
+    vendor: cp_buf_str(buf, 2, 2),
+    strength: buf[4],
+    compression: lget16(buf, 5)
+  };
+});
+
+register_extra(EXTSIG_AV, 'av');
+register_extra(EXTSIG_PFS, 'pfs');
+register_extra(EXTSIG_OS2, 'os2');
+register_extra(EXTSIG_OPENVMS, 'openvms');
+register_extra(EXTSIG_STREAM, 'stream');
+register_extra(EXTSIG_PATCH, 'patch');
+register_extra(EXTSIG_X509_PKCS, 'x509_pkcs7');
+register_extra(EXTSIG_X509_LOC, 'x509_loc');
+register_extra(EXTSIG_X509_CEN, 'x509_cen');
+register_extra(EXTSIG_CRYPT, 'strong_encryption');
+register_extra(EXTSIG_RMC, 'record_management');
+register_extra(EXTSIG_CERT_LIST_PKCS, 'cert_list_pkcs7');
+register_extra(EXTSIG_TIMESTAMP, 'timestamp');
+register_extra(EXTSIG_DECRYPT, 'policy_decryption_key');
+register_extra(EXTSIG_SCRYPT_KEY, 'smartcrypt_key');
+register_extra(EXTSIG_SCRYPT_DATA, 'smartcrypt_data');
+register_extra(EXTSIG_IBM_UNCOMPRESS, 'ibm_uncompressed');
+register_extra(EXTSIG_IBM_COMPRESS, 'ibm_compressed');
+register_extra(EXTSIG_POSZIP, 'poszip');
+
+/*
+ * Walk the extra field area of a LOC/CDIR record and decode
+ * every field: [{id, name, raw, parsed}]
+ */
+function EXTRAS(record, buf, off, ext_len) {
+  let extras = [];
+
+  const lim = off + ext_len;
+  while (off + 4 <= lim) {
+    let id = lget16(buf, off);
+    let sz_data = Math.min(lget16(buf, off+2), lim - off - 4);
+    let raw = cp_buf(buf, off+4, sz_data);
+    let field = extra_fields.get(id);
+
+    extras.push({
+      id,
+      name: field ? field.name : null,
+      raw,
+      parsed: field && field.decode ? field.decode(raw, record) : null
+    });
+
+    // skip over header and data
+    off += 4 + sz_data;
+  }
+
+  return extras;
+}
+
+/*
+ * Info-ZIP Unicode Path/Comment extra field value, provided
+ * it was made for the header's current (raw) name/comment:
+ * the extra's CRC-32 must match. Tools renaming entries
+ * without knowing about the extra leave a stale one behind.
+ */
+function unicode_ext(extras, id, raw, field) {
+  let extra = extras.find((e) => e.id === id && e.parsed !== null);
+  if (!extra || extra.parsed.version !== 1 || extra.parsed.crc_32 !== CRC32.buf(raw)) {
+    return null;
+  }
+
+  return extra.parsed[field];
+}
+
+/*
+ * Record fields taken over from the extra fields: ZIP64
+ * sizes/offsets and the most precise timestamps.
+ */
+function extras_merge(extras) {
+  const parsed = (id) => {
+    let extra = extras.find((e) => e.id === id);
+    return extra ? extra.parsed : null;
+  };
+
+  return {
+    ...parsed(EXTSIG_ZIP64),
+    ...times_ext(parsed(EXTSIG_NTFS), parsed(EXTSIG_XTIME), parsed(EXTSIG_UNIX))
+  };
+}
+
+function LOC(buf, off, opts = {}) {
+  let loc = {
+    sig:            lget32(buf, off),
+    ver:            lget16(buf, off+4),
+    flg_gen:        lget16(buf, off+6),
+    compression:    lget16(buf, off+8),
+    tm_last_mod:    lget16(buf, off+10),
+    dt_last_mod:    lget16(buf, off+12),
+    crc_32:         lget32(buf, off+14),
+    sz_compress:    lget32_bint(buf, off+18),
+    sz_uncompress:  lget32_bint(buf, off+22),
+    len_filename:   lget16(buf, off+26),
+    len_ext:        lget16(buf, off+28),
+
+    // set below
+    filename: '',
+    filename_raw: null,
+    sz_loc: 0,
+    extras: [],
+
+    // may be overridden by extra fields
+    mtime:          null,
+    atime:          null,
+    ctime:          null,
+    time_src:       'dos'
+  };
+
+  loc.mtime = dos_to_date(loc.tm_last_mod, loc.dt_last_mod);
+  loc.filename_raw = cp_buf(buf, off+30, loc.len_filename);
+  loc.sz_loc = 30 + loc.len_filename + loc.len_ext;
+
+  if (loc.len_ext > 0) {
+    loc.extras = EXTRAS(loc, buf, off+30+loc.len_filename, loc.len_ext);
+    loc = {
+      ...loc,
+      ...extras_merge(loc.extras)
+    };
+  }
+
+  loc.filename = unicode_ext(loc.extras, EXTSIG_UNICODE_PATH, loc.filename_raw, 'filename')
+    || decode_str(loc.filename_raw, loc.flg_gen, opts);
+
+  return loc;
+}
+
+/*
+ * Data descriptor, past its optional signature. Sizes are
+ * 8 bytes each in ZIP64 descriptors.
+ */
+function DESC(buf, off, isZip64) {
+  return {
+    crc_32:         lget32(buf, off),
+    sz_compress:    isZip64 ? lget64_bint(buf, off+4) : lget32_bint(buf, off+4),
+    sz_uncompress:  isZip64 ? lget64_bint(buf, off+12) : lget32_bint(buf, off+8)
+  };
+}
+
+function EOCD(buf, off, opts = {}) {
+  let eocd = {
+    sig:                  lget32(buf, off),
+    num_disk:             lget16(buf, off+4),
+    num_disk_cd:          lget16(buf, off+6),
+    num_disk_entries_cd:  lget16(buf, off+8),
+    num_entries_cd:       lget16(buf, off+10),
+    sz_cd:                lget32_bint(buf, off+12),
+    off_disk_cd:          lget32_bint(buf, off+16),
+    len_comment:          lget16(buf, off+20),
+
+    // set below
+    comment:              null,
+    comment_raw:          null,
+    is_zip_64:            false
+  };
+
+  // no general purpose flag, UTF-8 unless told otherwise
+  eocd.comment_raw = cp_buf(buf, off+22, eocd.len_comment);
+  eocd.comment = opts.encoding
+    ? decode_str(eocd.comment_raw, 0, opts)
+    : uint8arr_to_str(eocd.comment_raw);
+  eocd.is_zip_64 = eocd.num_disk === 0xffff
+    || eocd.num_disk_cd === 0xffff
+    || eocd.num_disk_entries_cd === 0xffff
+    || eocd.sz_cd === 0xffffffffn
+    || eocd.off_disk_cd === 0xffffffffn;
+
+  return eocd;
+}
+
+function EOCD_64_LOC(buf, off) {
+  return {
+    sig:                  lget32(buf, off),
+    num_disk_eocd64:      lget32_bint(buf, off+4),
+    off_eocd64:           lget64_bint(buf, off+8),
+    num_disks:            lget32_bint(buf, off+16)
+  };
+}
+
+function EOCD_64(buf, off, eocd) {
+  let eocd_64 = {
+    ...eocd,
+
+    zip64_sig:            lget32(buf, off),
+    sz_eocd64:            lget64_bint(buf, off+4),
+
+    // zip64 only
+    ver:                  lget16(buf, off+12),
+    ver_ext:              lget16(buf, off+14),
+
+    // merge with zip eocd
+    num_disk:             lget32_bint(buf, off+16),
+    num_disk_cd:          lget32_bint(buf, off+20),
+    num_disk_entries_cd:  lget64_bint(buf, off+24),
+    num_entries_cd:       lget64_bint(buf, off+32),
+    sz_cd:                lget64_bint(buf, off+40),
+    off_disk_cd:          lget64_bint(buf, off+48),
+
+    // zip64 only, set below
+    zip64_ext:            null,
+    zip64_ext_raw:        null
+  };
+
+  // 44 = sizeof non-ext EOCD_64, after the size field
+  eocd_64.zip64_ext_raw = cp_buf(buf, off+56, num32b(eocd_64.sz_eocd64) - 44);
+  eocd_64.zip64_ext = EOCD_64_ext(eocd_64.zip64_ext_raw);
+
+  return eocd_64;
+}
+
+/*
+ * zip64 extensible data sector: blocks of a 2-byte header
+ * ID and 4-byte data size, followed by the data. null if
+ * the blocks do not add up to the sector.
+ */
+function EOCD_64_ext(buf) {
+  let blocks = [];
+  let off = 0;
+  while (off < buf.length) {
+    if (off + 6 > buf.length) {
+      return null;
+    }
+
+    let id = lget16(buf, off);
+    let size = lget32_bint(buf, off+2);
+    if (bint(off + 6) + size > bint(buf.length)) {
+      return null;
+    }
+
+    blocks.push({id, raw: cp_buf(buf, off+6, num32b(size))});
+    off += 6 + num32b(size);
+  }
+
+  return blocks;
+}
+
+function CDIR(buf, off, opts = {}) {
+  let cdir = {
+    sig:            lget32(buf, off),
+    ver:            lget16(buf, off+4),
+    ver_ext:        lget16(buf, off+6),
+    flg_gen:        lget16(buf, off+8),
+    compression:    lget16(buf, off+10),
+    tm_last_mod:    lget16(buf, off+12),
+    dt_last_mod:    lget16(buf, off+14),
+    crc_32:         lget32(buf, off+16),
+    sz_compress:    lget32_bint(buf, off+20),
+    sz_uncompress:  lget32_bint(buf, off+24),
+    len_filename:   lget16(buf, off+28),
+    len_ext:        lget16(buf, off+30),
+    len_comment:    lget16(buf, off+32),
+    num_disk:       lget16(buf, off+34),
+    attrs_int:      lget16(buf, off+36),
+    attrs_ext:      lget32_bint(buf, off+38),
+    off_loc:        lget32_bint(buf, off+42),
+
+    // set below
+    sz_cdir:        0,
+    filename:       null,
+    filename_raw:   null,
+    comment:        null,
+    comment_raw:    null,
+    extras:         [],
+
+    // may be overridden by extra fields
+    mtime:          null,
+    atime:          null,
+    ctime:          null,
+    time_src:       'dos'
+  };
+
+  cdir.mtime = dos_to_date(cdir.tm_last_mod, cdir.dt_last_mod);
+  cdir.filename_raw = cp_buf(buf, off+46, cdir.len_filename);
+  cdir.comment_raw = cp_buf(buf, off+46+cdir.len_filename+cdir.len_ext, cdir.len_comment);
+  cdir.sz_cdir = 46 + cdir.len_filename + cdir.len_ext + cdir.len_comment
+
+  if (cdir.len_ext > 0) {
+    cdir.extras = EXTRAS(cdir, buf, off+46+cdir.len_filename, cdir.len_ext);
+    cdir = {
+      ...cdir,
+      ...extras_merge(cdir.extras)
+    };
+  }
+
+  cdir.filename = unicode_ext(cdir.extras, EXTSIG_UNICODE_PATH, cdir.filename_raw, 'filename')
+    || decode_str(cdir.filename_raw, cdir.flg_gen, opts);
+  cdir.comment = unicode_ext(cdir.extras, EXTSIG_UNICODE_COMMENT, cdir.comment_raw, 'comment')
+    || decode_str(cdir.comment_raw, cdir.flg_gen, opts);
+
+  return cdir;
+}
+
+/*
+ * Serializers: inverse of the parsers above. Each takes a
+ * record with the same field names the parser produces,
+ * plus the raw variable-length fields, and returns the
+ * encoded bytes.
+ */
+function ZIP64_ext_bytes(vals) {
+  let buf = getbuf(4 + 8*vals.length);
+  lput16(buf, 0, EXTSIG_ZIP64);
+  lput16(buf, 2, 8*vals.length);
+  vals.forEach((val, i) => lput64_bint(buf, 4 + 8*i, val));
+  return buf;
+}
+
+function LOC_bytes(loc, buf_filename, buf_ext) {
+  let buf = getbuf(30 + buf_filename.length + buf_ext.length);
+  lput32(buf, 0, SIG_LOC);
+  lput16(buf, 4, loc.ver);
+  lput16(buf, 6, loc.flg_gen);
+  lput16(buf, 8, loc.compression);
+  lput16(buf, 10, loc.tm_last_mod);
+  lput16(buf, 12, loc.dt_last_mod);
+  lput32(buf, 14, loc.crc_32);
+  lput32(buf, 18, num32b(loc.sz_compress));
+  lput32(buf, 22, num32b(loc.sz_uncompress));
+  lput16(buf, 26, buf_filename.length);
+  lput16(buf, 28, buf_ext.length);
+  buf.set(buf_filename, 30);
+  buf.set(buf_ext, 30 + buf_filename.length);
+  return buf;
+}
+
+function DESC_bytes(desc, is_zip_64) {
+  let buf = getbuf(is_zip_64 ? 24 : 16);
+  lput32(buf, 0, SIG_DESC);
+  lput32(buf, 4, desc.crc_32);
+  if (is_zip_64) {
+    lput64_bint(buf, 8, desc.sz_compress);
+    lput64_bint(buf, 16, desc.sz_uncompress);
+  } else {
+    lput32(buf, 8, num32b(desc.sz_compress));
+    lput32(buf, 12, num32b(desc.sz_uncompress));
+  }
+  return buf;
+}
+
+function CDIR_bytes(cdir, buf_filename, buf_ext, buf_comment) {
+  let buf = getbuf(46 + buf_filename.length + buf_ext.length + buf_comment.length);
+  lput32(buf, 0, SIG_CDIR);
+  lput16(buf, 4, cdir.ver);
+  lput16(buf, 6, cdir.ver_ext);
+  lput16(buf, 8, cdir.flg_gen);
+  lput16(buf, 10, cdir.compression);
+  lput16(buf, 12, cdir.tm_last_mod);
+  lput16(buf, 14, cdir.dt_last_mod);
+  lput32(buf, 16, cdir.crc_32);
+  lput32(buf, 20, num32b(cdir.sz_compress));
+  lput32(buf, 24, num32b(cdir.sz_uncompress));
+  lput16(buf, 28, buf_filename.length);
+  lput16(buf, 30, buf_ext.length);
+  lput16(buf, 32, buf_comment.length);
+  lput16(buf, 34, cdir.num_disk);
+  lput16(buf, 36, cdir.attrs_int);
+  lput32(buf, 38, num32b(cdir.attrs_ext));
+  lput32(buf, 42, num32b(cdir.off_loc));
+  buf.set(buf_filename, 46);
+  buf.set(buf_ext, 46 + buf_filename.length);
+  buf.set(buf_comment, 46 + buf_filename.length + buf_ext.length);
+  return buf;
+}
+
+function EOCD_bytes(eocd, buf_comment) {
+  let buf = getbuf(22 + buf_comment.length);
+  lput32(buf, 0, SIG_EOCD);
+  lput16(buf, 4, eocd.num_disk);
+  lput16(buf, 6, eocd.num_disk_cd);
+  lput16(buf, 8, eocd.num_disk_entries_cd);
+  lput16(buf, 10, eocd.num_entries_cd);
+  lput32(buf, 12, num32b(eocd.sz_cd));
+  lput32(buf, 16, num32b(eocd.off_disk_cd));
+  lput16(buf, 20, buf_comment.length);
+  buf.set(buf_comment, 22);
+  return buf;
+}
+
+function EOCD_64_bytes(eocd_64) {
+  let buf = getbuf(56);
+  lput32(buf, 0, SIG_EOCD_64);
+  lput64_bint(buf, 4, 44n);
+  lput16(buf, 12, eocd_64.ver);
+  lput16(buf, 14, eocd_64.ver_ext);
+  lput32(buf, 16, num32b(eocd_64.num_disk));
+  lput32(buf, 20, num32b(eocd_64.num_disk_cd));
+  lput64_bint(buf, 24, eocd_64.num_disk_entries_cd);
+  lput64_bint(buf, 32, eocd_64.num_entries_cd);
+  lput64_bint(buf, 40, eocd_64.sz_cd);
+  lput64_bint(buf, 48, eocd_64.off_disk_cd);
+  return buf;
+}
+
+function EOCD_64_LOC_bytes(off_eocd_64) {
+  let buf = getbuf(20);
+  lput32(buf, 0, SIG_EOCD_64_LOC);
+  lput32(buf, 4, 0);
+  lput64_bint(buf, 8, off_eocd_64);
+  lput32(buf, 16, 1);
+  return buf;
+}
+
+function resizableBuffer(buf) {
+  if (!buf) {
+    buf = new Uint8Array(0);
+  }
+
+  const resize = (newLen, origOff, newOff, len) => {
+    let tmp = new Uint8Array(newLen);
+    let lenToCopy = len < 0 ? buf.length : Math.min(buf.length, len);
+
+    if ((newLen - newOff + lenToCopy) > newLen) {
+      lenToCopy = Math.max(newLen - newOff, 0);
+    }
+
+    arraycopy(buf, origOff, tmp, newOff, lenToCopy);
+    buf = tmp;
+  };
+
+  return {
+    coalesce_front: (_buf, off, len) => {
+      if (len === 0) {
+        return;
+      }
+
+      /*
+       * (1) Resize buf to accommodate size of _buf
+       * (2) Exactly copy contents of _buf into front of buf
+       *     such that _buf and the old buf are concatenated
+       *     without "empty" bytes in between
+       */
+      resize(buf.length + len, 0, len, -1);
+      arraycopy(_buf, off, buf, 0, len);
+    },
+    resize,
+    ensureSize: (size) => {
+      if (buf.length <= size) {
+        return;
+      }
+
+      resize(size, 0, 0, size);
+    },
+    getBuffer: () => buf,
+    length: () => buf.byteLength,
+    lget16: (off) => lget16(buf, off),
+    lget32: (off) => lget32(buf, off)
+  }
+}
+
+/*
+ * Data descriptor following the data of an entry, which
+ * starts at 'data_off' and runs for the compressed size of
+ * 'cdir'. null if it runs past the end of the source.
+ *
+ * The signature is optional: taken as present if the first
+ * word is SIG_DESC, unless that is the CRC-32 itself with
+ * no signature before it. Sizes are 64-bit if the LOC has a
+ * zip64 extra field, if they do not fit 32 bits (Java's
+ * ZipOutputStream writes no zip64 extra field in the LOC),
+ * or if only the 64-bit sizes match the CDIR.
+ */
+function* getdesc(sb, cdir, loc, data_off) {
+  let buf_desc = getbuf(24);
+  let len = yield sb.head(buf_desc, bint(data_off) + cdir.sz_compress, buf_desc.byteLength);
+
+  let isSigned = lget32(buf_desc, 0) === SIG_DESC
+    && (cdir.crc_32 !== SIG_DESC || lget32(buf_desc, 4) === SIG_DESC);
+  let off = isSigned ? 4 : 0;
+
+  const matches = (desc) => desc.sz_compress === cdir.sz_compress
+    && desc.sz_uncompress === cdir.sz_uncompress;
+  let isZip64 = loc.extras.some((ext) => ext.id === EXTSIG_ZIP64)
+    || cdir.sz_compress >= V_32BIT_MAX_BINT
+    || cdir.sz_uncompress >= V_32BIT_MAX_BINT
+    || (len >= off + 20
+      && !matches(DESC(buf_desc, off, false))
+      && matches(DESC(buf_desc, off, true)));
+
+  let sz_desc = off + (isZip64 ? 20 : 12);
+  if (len < sz_desc) {
+    return null;
+  }
+
+  return {
+    sig: isSigned ? SIG_DESC : null,
+    ...DESC(buf_desc, off, isZip64),
+    sz_desc
+  };
+}
+
+function* readloc(sb, cdir) {
+  let buf_loc = getbuf(SZ_LOC_MAX);
+  let len = yield sb.head(buf_loc, diskoff(sb, cdir.num_disk, cdir.off_loc), buf_loc.byteLength);
+  if (len === -1) {
+    throw new Error('Could not read entry');
+  }
+
+  let loc = LOC(buf_loc, 0);
+  if (loc.sig !== SIG_LOC) {
+    throw new Error('invalid local header signature');
+  }
+
+  return loc;
+}
+
+/*
+ * Readable over [off, off+size) of the byte source, read
+ * in SZ_KB_64 chunks so only one chunk is held at a time.
+ */
+function rangestream(sb, off, size) {
+  let end = bint(off) + bint(size);
+  off = bint(off);
+
+  return new stream.Readable({
+    read() {
+      if (off >= end) {
+        this.push(null);
+        return;
+      }
+
+      let chunk = Buffer.allocUnsafe(num32b(BInt_min(end - off, bint(SZ_KB_64))));
+
+      // source may be synchronous or asynchronous
+      new Promise((resolve) => resolve(sb.head(chunk, off, chunk.byteLength)))
+        .then((len) => {
+          if (len <= 0) {
+            throw new Error("EOF");
+          }
+
+          off += bint(len);
+          this.push(chunk.subarray(0, len));
+        })
+        .catch((err) => this.destroy(err));
+    }
+  });
+}
+
+function* openentry(sb, cdir, opts = {}) {
+  /*
+   * 1) Read and parse Local Header
+   * 2) Stream the data section of ZIP entry. Sizes and
+   *    CRC-32 are taken from the CDIR, which is always
+   *    authoritative (LOC may defer to a data descriptor)
+   * 3) Decrypt, if encrypted (ZipCrypto or WinZip AES)
+   * 4) Decompress - depends on compression algorithm,
+   *    never beyond the declared uncompressed size
+   *      - STORE: pass through
+   *      - DEFLATE, ZSTD: zlib stream
+   *      - others built in (BZIP2, LZMA, XZ, DEFLATE64,
+   *        SHRINK, REDUCE, IMPLODE): buffered, decoded at
+   *        the end. Entries over SZ_STREAM_BUFFER_MAX throw
+   *      - ...other: registered decoder, or <not supported>
+   * 5) Verify CRC-32 incrementally, error at end-of-stream.
+   *    AE-2 entries carry no CRC-32, the authentication
+   *    code replaces it
+   */
+
+  // 1)
+  if (opts.limits) {
+    assert_entry_limits(cdir, opts.limits);
+  }
+  let loc = yield* readloc(sb, cdir);
+
+  // 2)
+  let streams = [
+    rangestream(sb, diskoff(sb, cdir.num_disk, cdir.off_loc) + bint(loc.sz_loc), cdir.sz_compress)
+  ];
+
+  // 3)
+  let method = cdir.compression;
+  let isCrc = true;
+  if (method === C_AE_X) {
+    let aes = aes_ext(cdir);
+    streams.push(winzip_aes_stream(yield* getpassword(cdir, opts), aes, cdir.sz_compress));
+    method = aes.compression;
+    isCrc = aes.version !== 2;
+  } else if (getbit(loc.flg_gen, 0) === 1) {
+    let keys = zipcrypto(yield* getpassword(cdir, opts));
+    streams.push(zipcrypto_stream(keys, loc));
+  }
+
+  // 4)
+  if (method !== C_STORE) {
+    streams.push(decompress_stream(getcompression(method), cdir));
+    streams.push(limit_stream(cdir.sz_uncompress));
+  }
+
+  // 5)
+  if (isCrc) {
+    streams.push(crc32_stream(cdir.crc_32));
+  }
+
+  let out = streams[streams.length-1];
+  stream.pipeline(...streams, (err) => {
+    if (err) {
+      out.destroy(err);
+    }
+  });
+
+  return out;
+}
+
+function* readentry(sb, cdir, opts = {}) {
+  /*
+   * 1) Read Local Header + Data
+   * 2) Parse Local Header
+   * 3) Isolate Data section of ZIP entry. Sizes and CRC-32
+   *    are taken from the CDIR, which is always
+   *    authoritative: streaming writers leave them zero in
+   *    the LOC and put them in a data descriptor
+   * 4) Decrypt, if encrypted (ZipCrypto or WinZip AES)
+   * 5) Extract ZIP entry - depends on compression algorithm,
+   *    never beyond the declared uncompressed size
+   *      - STORE: return data section
+   *      - DEFLATE, ZSTD: use zlib
+   *      - BZIP2, LZMA, XZ, DEFLATE64, SHRINK, REDUCE,
+   *        IMPLODE: built-in decoders
+   *      - ...other: registered decoder, or <not supported>
+   * 6) Verify CRC-32. AE-2 entries carry no CRC-32, the
+   *    authentication code replaces it
+   */
+
+  // 1)
+  if (opts.limits) {
+    assert_entry_limits(cdir, opts.limits);
+  }
+
+  // allocation follows sz_compress, which must fit the source
+  let off_loc = diskoff(sb, cdir.num_disk, cdir.off_loc);
+  if (sb.size && bint(off_loc) + cdir.sz_compress > bint(sb.size())) {
+    throw zip_error('ERR_ZIP_OUT_OF_BOUNDS', 'Entry data out of bounds');
+  }
+  if (bint(SZ_LOC_MAX) + BInt_max(cdir.sz_compress, cdir.sz_uncompress)
+    > bint(buffer.constants.MAX_LENGTH)) {
+    throw zip_error('ERR_ZIP_ENTRY_TOO_LARGE_FOR_MEMORY',
+      `Entry too large to hold in memory, use openReadStream(): ${cdir.filename}`);
+  }
+  let buf_entry = getbuf(SZ_LOC_MAX + num32b(cdir.sz_compress));
+  let len = yield sb.head(buf_entry, off_loc, buf_entry.byteLength);
+  if (len === -1) {
+    throw new Error('Could not read entry');
+  }
+
+  // 2)
+  let loc = LOC(buf_entry, 0);
+  if (loc.sig !== SIG_LOC) {
+    throw new Error('invalid local header signature');
+  }
+
+  // 3)
+  let buf_data = buf_entry.subarray(
+    loc.sz_loc,
+    loc.sz_loc + num32b(cdir.sz_compress));
+  if (buf_data.length !== num32b(cdir.sz_compress)) {
+    throw new Error("EOF");
+  }
+  let crc_32 = cdir.crc_32;
+
+  // 4)
+  let method = cdir.compression;
+  let isCrc = true;
+  if (method === C_AE_X) {
+    let aes = aes_ext(cdir);
+    let sz_hdr = AES_KEYLEN[aes.strength] / 2 + SZ_AES_PWV;
+    let ctx = winzip_aes_header(yield* getpassword(cdir, opts), buf_data.subarray(0, sz_hdr), aes);
+    let buf_plain = ctx.decrypt(buf_data.subarray(sz_hdr, buf_data.length - SZ_AES_MAC));
+    winzip_aes_mac(ctx, buf_data.subarray(buf_data.length - SZ_AES_MAC));
+
+    buf_data = buf_plain;
+    method = aes.compression;
+    isCrc = aes.version !== 2;
+  } else if (getbit(loc.flg_gen, 0) === 1) {
+    let keys = zipcrypto(yield* getpassword(cdir, opts));
+    zipcrypto_header(keys, buf_data.subarray(0, SZ_ZIPCRYPTO_HDR), loc);
+    buf_data = keys.decrypt(buf_data.subarray(SZ_ZIPCRYPTO_HDR));
+  }
+
+  // 5)
+  let buf_out = getcompression(method).decompress(buf_data, cdir);
+  if (bint(buf_out.length) > cdir.sz_uncompress) {
+    throw size_error();
+  }
+
+  // 6)
+  if (isCrc) {
+    assert_crc32(buf_out, crc_32);
+  }
+
+  return buf_out;
+}
+
+/*
+ * Read the central directory sequentially, keeping the raw
+ * variable-length fields and 32-bit header fields of every
+ * record so it can be serialized back unchanged.
+ */
+function* readcd(sb, eocd, opts) {
+  let buf_cd = getbuf(num32b(eocd.sz_cd));
+  let len = yield sb.head(buf_cd, eocd.off_disk_cd, buf_cd.byteLength);
+  if (len !== buf_cd.byteLength) {
+    throw new Error("EOF");
+  }
+
+  let entries = [];
+  let off = 0;
+  while (off < len) {
+    let cdir = CDIR(buf_cd, off, opts);
+    if (cdir.sig !== SIG_CDIR) {
+      throw new Error('invalid central directory signature');
+    }
+
+    let off_ext = off + 46 + cdir.len_filename;
+    entries.push({
+      cdir,
+      hdr: {
+        sz_compress:    lget32_bint(buf_cd, off+20),
+        sz_uncompress:  lget32_bint(buf_cd, off+24),
+        num_disk:       lget16(buf_cd, off+34),
+        off_loc:        lget32_bint(buf_cd, off+42)
+      },
+      buf_filename: cp_buf(buf_cd, off+46, cdir.len_filename),
+      buf_ext: cp_buf(buf_cd, off_ext, cdir.len_ext),
+      buf_comment: cp_buf(buf_cd, off_ext + cdir.len_ext, cdir.len_comment)
+    });
+
+    off += cdir.sz_cdir;
+  }
+
+  return entries;
+}
+
+/*
+ * Entry name as looked up by the index: backslashes are
+ * separators, and empty, '.' and trailing segments are
+ * dropped, so 'a\b', './a/b' and 'a/b/' are all 'a/b'.
+ */
+function entrypath(name) {
+  return name.replace(/\\/g, '/')
+    .split('/')
+    .filter((seg) => seg !== '' && seg !== '.')
+    .join('/');
+}
+
+function isdirentry(cdir) {
+  return cdir.filename.endsWith('/') || cdir.filename.endsWith('\\');
+}
+
+/*
+ * Glob to a RegExp over the whole of an entry path:
+ *
+ *  *: any characters but '/'
+ *  **: any characters, '/' included. '** /' (no space)
+ *    also matches no directory at all
+ *  ?: one character but '/'
+ *  [abc], [a-z], [!abc] or [^abc]: one character but '/'
+ *    of (not of) a set
+ *  {a,b}: either alternative
+ */
+function globregex(glob, flags = '') {
+  let src = '';
+  let depth = 0;
+  for (let i=0; i<glob.length; i++) {
+    let c = glob[i];
+    if (c === '*' && glob[i+1] === '*') {
+      if (glob[i+2] === '/') {
+        src += '(?:.*/)?';
+        i += 2;
+      } else {
+        src += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      src += '[^/]*';
+    } else if (c === '?') {
+      src += '[^/]';
+    } else if (c === '[' && glob.indexOf(']', i+2) !== -1) {
+      // '\' and '[' are literal in a set, and '/' never matches
+      let end = glob.indexOf(']', i+2);
+      let set = glob.slice(i+1, end);
+      let negate = set[0] === '!' || set[0] === '^';
+      set = (negate ? set.slice(1) : set).replace(/[\\[^]/g, '\\$&');
+      src += negate ? `[^/${set}]` : `(?!/)[${set}]`;
+      i = end;
+    } else if (c === '{') {
+      src += '(?:';
+      depth++;
+    } else if (c === '}' && depth > 0) {
+      src += ')';
+      depth--;
+    } else if (c === ',' && depth > 0) {
+      src += '|';
+    } else {
+      src += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  if (depth > 0) {
+    throw new Error(`Unbalanced braces in glob: ${glob}`);
+  }
+
+  return new RegExp(`^${src}$`, flags);
+}
+
+/*
+ * Name index and directory tree over cdirList, each built
+ * on first use. Directories only implied by the paths of
+ * the entries under them get a node too, with a null cdir.
+ *
+ * Where names collide, the first record in cdirList wins.
+ */
+function zipindex(cdirList) {
+  let names = null;
+  let namesLower = null;
+  let dirs = null;
+
+  const byname = (isCaseInsensitive) => {
+    if (names === null) {
+      names = new Map();
+      namesLower = new Map();
+      for (let cdir of cdirList) {
+        let key = entrypath(cdir.filename);
+        if (!names.has(key)) {
+          names.set(key, cdir);
+        }
+        if (!namesLower.has(key.toLowerCase())) {
+          namesLower.set(key.toLowerCase(), cdir);
+        }
+      }
+    }
+
+    return isCaseInsensitive ? namesLower : names;
+  };
+
+  const getdirs = () => {
+    if (dirs !== null) {
+      return dirs;
+    }
+
+    dirs = new Map();
+    dirs.set('', {name: '', path: '', isDir: true, cdir: null, children: []});
+
+    const getdir = (dirpath) => {
+      let node = dirs.get(dirpath);
+      if (node === undefined) {
+        let i = dirpath.lastIndexOf('/');
+        let parent = getdir(i === -1 ? '' : dirpath.slice(0, i));
+        node = {name: dirpath.slice(i+1), path: dirpath, isDir: true, cdir: null, children: []};
+        parent.children.push(node);
+        dirs.set(dirpath, node);
+      }
+      return node;
+    };
+
+    for (let cdir of cdirList) {
+      let key = entrypath(cdir.filename);
+      if (key === '') {
+        continue;
+      }
+
+      if (isdirentry(cdir)) {
+        let node = getdir(key);
+        node.cdir = node.cdir || cdir;
+        continue;
+      }
+
+      let i = key.lastIndexOf('/');
+      let parent = getdir(i === -1 ? '' : key.slice(0, i));
+      parent.children.push({name: key.slice(i+1), path: key, isDir: false, cdir, children: null});
+    }
+
+    return dirs;
+  };
+
+  return {
+    get: (name, opts = {}) => {
+      let {caseInsensitive = false} = opts;
+      let key = entrypath(name);
+      return byname(caseInsensitive).get(caseInsensitive ? key.toLowerCase() : key) || null;
+    },
+    find: (glob, opts = {}) => {
+      let {caseInsensitive = false} = opts;
+      let re = globregex(entrypath(glob), caseInsensitive ? 'i' : '');
+      return cdirList.filter((cdir) => re.test(entrypath(cdir.filename)));
+    },
+    readdir: (dirpath = '') => {
+      let key = entrypath(dirpath);
+      let node = getdirs().get(key);
+      if (node === undefined) {
+        throw byname(false).has(key)
+          ? zip_error('ERR_ZIP_NOT_A_DIRECTORY', `Not a directory: ${dirpath}`)
+          : zip_error('ERR_ZIP_NOT_FOUND', `No such directory: ${dirpath}`);
+      }
+      return node.children.slice();
+    },
+    tree: () => getdirs().get(''),
+    // node of a file or directory, null if there is none
+    node: (name) => {
+      let key = entrypath(name);
+      let dir = getdirs().get(key);
+      if (dir !== undefined) {
+        return dir;
+      }
+
+      let cdir = byname(false).get(key);
+      if (cdir === undefined || isdirentry(cdir)) {
+        return null;
+      }
+      return {name: key.slice(key.lastIndexOf('/') + 1), path: key, isDir: false, cdir, children: null};
+    }
+  };
+}
+
+/*
+ * Entry name to a path under destDir. Names which are
+ * absolute, carry a drive letter or climb out of destDir
+ * through '..' are rejected ("zip slip"). Backslashes are
+ * treated as separators, as some Windows tools write them.
+ */
+function safepath(destDir, filename) {
+  let name = filename.replace(/\\/g, '/');
+  let segments = name.split('/').filter((seg) => seg !== '' && seg !== '.');
+
+  if (name.startsWith('/')
+    || /^[a-zA-Z]:/.test(name)
+    || name.includes('\0')
+    || segments.includes('..')
+    || segments.length === 0) {
+    throw new Error(`Unsafe entry path: ${filename}`);
+  }
+
+  let target = path.resolve(destDir, ...segments);
+  if (target === destDir || !isinside(destDir, target)) {
+    throw new Error(`Unsafe entry path: ${filename}`);
+  }
+
+  return target;
+}
+
+function isinside(dir, target) {
+  return target === dir || target.startsWith(dir + path.sep);
+}
+
+/*
+ * Create the missing directories between destDir and the
+ * parent of 'target', one at a time. A symlink extracted
+ * earlier may stand in for one of them: it is followed
+ * only if it resolves inside destDir, and checked before
+ * anything is created through it.
+ */
+function mkparents(destDir, target, filename) {
+  let dir = destDir;
+  let segments = path.relative(destDir, path.dirname(target)).split(path.sep);
+  for (let seg of segments.filter((seg) => seg !== '')) {
+    dir = path.join(dir, seg);
+
+    let stat = null;
+    try {
+      stat = fs.lstatSync(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    if (stat === null) {
+      fs.mkdirSync(dir);
+    } else if (stat.isSymbolicLink() && !isinside(destDir, fs.realpathSync(dir))) {
+      throw new Error(`Unsafe entry path: ${filename}`);
+    }
+  }
+}
+
+function rmtree(target) {
+  if (fs.lstatSync(target).isDirectory()) {
+    fs.readdirSync(target).forEach((name) => rmtree(path.join(target, name)));
+    fs.rmdirSync(target);
+  } else {
+    fs.unlinkSync(target);
+  }
+}
+
+function entrymatch(patterns, cdir) {
+  return [].concat(patterns).some((pattern) => pattern instanceof RegExp
+    ? pattern.test(cdir.filename)
+    : pattern(cdir));
+}
+
+function* extractall(sb, cdirList, destDir, options = {}, opts = {}, isAsync = false) {
+  /*
+   * 1) Filter entries by include/exclude
+   * 2) Map entry name to a path under destDir (zip slip),
+   *    and make sure no symlink extracted earlier leads
+   *    the write outside of destDir, before creating any
+   *    directory
+   * 3) Apply the overwrite policy
+   * 4) Create directory, symlink or file. Symlinks which
+   *    point outside of destDir are refused unless asked
+   *    for. Asynchronously, files are streamed to disk, so
+   *    entries of any size can be extracted
+   * 5) Restore permission bits (UNIX hosts only) and mtime.
+   *    setuid, setgid and sticky bits only if asked for
+   *    (as 'unzip -K'). Directory mtimes are set last, as
+   *    extracting their contents changes them.
+   */
+  let {
+    include = null,
+    exclude = null,
+    exists = 'error',
+    permissions = true,
+    specialBits = false,
+    symlinks = true,
+    unsafeSymlinks = false,
+    mtimes = true
+  } = options;
+  let permMask = specialBits ? 0o7777 : 0o777;
+
+  fs.mkdirSync(destDir, {recursive: true});
+  destDir = fs.realpathSync(path.resolve(destDir));
+
+  let extracted = [];
+  let skipped = [];
+  let dirs = [];
+  for (let cdir of cdirList) {
+    // 1)
+    if ((include !== null && !entrymatch(include, cdir))
+      || (exclude !== null && entrymatch(exclude, cdir))) {
+      skipped.push(cdir.filename);
+      continue;
+    }
+
+    // 2)
+    let target = safepath(destDir, cdir.filename);
+    mkparents(destDir, target, cdir.filename);
+
+    let host = cdir.ver >> 8;
+    let mode = host === HOST_UNIX || host === HOST_OSX
+      ? num32b(cdir.attrs_ext >> 16n) & 0xffff
+      : 0;
+    let isDir = isdirentry(cdir);
+    let isLink = symlinks && (mode & S_IFMT) === S_IFLNK;
+
+    // 3)
+    let stat = null;
+    try {
+      stat = fs.lstatSync(target);
+    } catch (err) {
+      // does not exist
+    }
+
+    if (stat !== null && !(isDir && stat.isDirectory())) {
+      if (exists === 'skip') {
+        skipped.push(cdir.filename);
+        continue;
+      }
+
+      if (exists !== 'overwrite') {
+        throw new Error(`File exists: ${target}`);
+      }
+
+      rmtree(target);
+    }
+
+    // 4)
+    if (isDir) {
+      fs.mkdirSync(target, {recursive: true});
+      dirs.push({cdir, target, mode});
+      extracted.push(target);
+      continue;
+    }
+
+    let entryOpts = {...opts, ...options};
+    if (isLink) {
+      let link = uint8arr_to_str(yield* readentry(sb, cdir, entryOpts));
+      if (!unsafeSymlinks && !isinside(destDir, path.resolve(path.dirname(target), link))) {
+        throw new Error(`Unsafe symlink target: ${cdir.filename} -> ${link}`);
+      }
+      fs.symlinkSync(link, target);
+    } else if (isAsync) {
+      let entry = yield* openentry(sb, cdir, entryOpts);
+      yield new Promise((resolve, reject) => stream.pipeline(entry, fs.createWriteStream(target),
+        (err) => err ? reject(err) : resolve()));
+    } else {
+      fs.writeFileSync(target, yield* readentry(sb, cdir, entryOpts));
+    }
+
+    // 5)
+    if (permissions && mode !== 0 && !isLink) {
+      fs.chmodSync(target, mode & permMask);
+    }
+
+    if (mtimes) {
+      let atime = cdir.atime || cdir.mtime;
+      if (!isLink) {
+        fs.utimesSync(target, atime, cdir.mtime);
+      } else if (fs.lutimesSync) {
+        fs.lutimesSync(target, atime, cdir.mtime);
+      }
+    }
+
+    extracted.push(target);
+  }
+
+  // 5)
+  for (let {cdir, target, mode} of dirs.reverse()) {
+    if (permissions && mode !== 0) {
+      fs.chmodSync(target, mode & permMask);
+    }
+
+    if (mtimes) {
+      fs.utimesSync(target, cdir.atime || cdir.mtime, cdir.mtime);
+    }
+  }
+
+  return {extracted, skipped};
+}
+
+/*
+ * Resource limits, opts.limits, for archives from untrusted
+ * sources. Every limit is optional:
+ *
+ *  maxEntries: number of central directory records
+ *  maxCdSize: size of the central directory in bytes
+ *  maxTotalSize: sum of the uncompressed sizes of all
+ *    entries
+ *  maxEntrySize: uncompressed size of any one entry
+ *  maxRatio: uncompressed to compressed size of any one
+ *    entry
+ *  allowOverlap: accept local entries overlapping one
+ *    another, the trick behind non-recursive zip bombs.
+ *    Rejected by default once 'limits' is given
+ *
+ * The limits are checked against the sizes the records
+ * declare; decompression itself never goes beyond the
+ * declared size of an entry (ERR_ZIP_SIZE_EXCEEDED).
+ */
+function limit_error(code, what, actual, max) {
+  return zip_error(code, `${what} (${actual}) exceeds the limit of ${max}`);
+}
+
+function assert_cd_limits(eocd, limits) {
+  if (limits.maxEntries !== undefined && bint(eocd.num_entries_cd) > bint(limits.maxEntries)) {
+    throw limit_error('ERR_ZIP_TOO_MANY_ENTRIES', 'Number of entries', eocd.num_entries_cd, limits.maxEntries);
+  }
+
+  if (limits.maxCdSize !== undefined && eocd.sz_cd > bint(limits.maxCdSize)) {
+    throw limit_error('ERR_ZIP_CD_TOO_LARGE', 'Central directory size', eocd.sz_cd, limits.maxCdSize);
+  }
+}
+
+function assert_entry_limits(cdir, limits) {
+  if (limits.maxEntrySize !== undefined && cdir.sz_uncompress > bint(limits.maxEntrySize)) {
+    throw limit_error('ERR_ZIP_ENTRY_TOO_LARGE',
+      `Size of ${cdir.filename}`, cdir.sz_uncompress, limits.maxEntrySize);
+  }
+
+  let ratio = num32b(cdir.sz_uncompress) / Math.max(num32b(cdir.sz_compress), 1);
+  if (limits.maxRatio !== undefined && ratio > limits.maxRatio) {
+    throw limit_error('ERR_ZIP_RATIO_TOO_HIGH',
+      `Compression ratio of ${cdir.filename}`, ratio.toFixed(1), limits.maxRatio);
+  }
+}
+
+function assert_archive_limits(sb, cdirList, limits) {
+  let total = cdirList.reduce((sum, cdir) => sum + cdir.sz_uncompress, 0n);
+  if (limits.maxTotalSize !== undefined && total > bint(limits.maxTotalSize)) {
+    throw limit_error('ERR_ZIP_TOTAL_TOO_LARGE', 'Total uncompressed size', total, limits.maxTotalSize);
+  }
+
+  if (limits.allowOverlap) {
+    return;
+  }
+
+  // LOC extra fields are unknown without reading every LOC,
+  // the ranges are short of those
+  let ranges = cdirList
+    .map((cdir) => {
+      let start = bint(diskoff(sb, cdir.num_disk, cdir.off_loc));
+      return {cdir, start, end: start + bint(30 + cdir.len_filename) + cdir.sz_compress};
+    })
+    .sort((a, b) => (a.start < b.start ? -1 : (a.start > b.start ? 1 : 0)));
+
+  let last = null;
+  for (let range of ranges) {
+    if (last !== null && range.start < last.end) {
+      throw zip_error('ERR_ZIP_OVERLAP',
+        `Entry ${range.cdir.filename} overlaps entry ${last.cdir.filename}`);
+    }
+
+    if (last === null || range.end > last.end) {
+      last = range;
+    }
+  }
+}
+
+/*
+ * Check one entry the way unzip -t does: LOC against CDIR,
+ * the data descriptor against CDIR, then the data itself by
+ * extracting it. Returns the range of the source the entry
+ * occupies (LOC, data and descriptor) and the problems
+ * found, if any.
+ */
+function* verifyentry(sb, cdir, size, opts) {
+  let problems = [];
+  let start = bint(diskoff(sb, cdir.num_disk, cdir.off_loc));
+  let entry = {cdir, filename: cdir.filename, start, end: start, problems};
+
+  const compare = (type, field, expected, actual) => {
+    if (expected !== actual) {
+      problems.push({type, field, expected, actual});
+    }
+  };
+
+  // 1) Local Header
+  let buf_loc = getbuf(SZ_LOC_MAX);
+  let len = yield sb.head(buf_loc, start, buf_loc.byteLength);
+  if (len < 30) {
+    problems.push({type: 'bounds', message: 'Local header out of bounds'});
+    return entry;
+  }
+
+  let loc = LOC(buf_loc, 0, opts);
+  if (loc.sig !== SIG_LOC) {
+    problems.push({type: 'signature', message: 'Invalid local header signature'});
+    return entry;
+  }
+
+  // 2) LOC vs CDIR, sizes and CRC-32 may be deferred to the
+  //    data descriptor
+  let isDesc = getbit(loc.flg_gen, 3) === 1;
+  let isDeferred = isDesc
+    && loc.crc_32 === 0
+    && loc.sz_compress === 0n
+    && loc.sz_uncompress === 0n;
+
+  if (Buffer.compare(loc.filename_raw, cdir.filename_raw) !== 0) {
+    problems.push({type: 'loc_mismatch', field: 'filename', expected: cdir.filename, actual: loc.filename});
+  }
+  compare('loc_mismatch', 'compression', cdir.compression, loc.compression);
+  if (!isDeferred) {
+    compare('loc_mismatch', 'crc_32', cdir.crc_32, loc.crc_32);
+    compare('loc_mismatch', 'sz_compress', cdir.sz_compress, loc.sz_compress);
+    compare('loc_mismatch', 'sz_uncompress', cdir.sz_uncompress, loc.sz_uncompress);
+  }
+
+  // 3) data descriptor, see getdesc()
+  entry.end = start + bint(loc.sz_loc) + cdir.sz_compress;
+  if (isDesc) {
+    let desc = yield* getdesc(sb, cdir, loc, start + bint(loc.sz_loc));
+    if (desc === null) {
+      problems.push({type: 'bounds', message: 'Data descriptor out of bounds'});
+    } else {
+      compare('descriptor_mismatch', 'crc_32', cdir.crc_32, desc.crc_32);
+      compare('descriptor_mismatch', 'sz_compress', cdir.sz_compress, desc.sz_compress);
+      compare('descriptor_mismatch', 'sz_uncompress', cdir.sz_uncompress, desc.sz_uncompress);
+      entry.end += bint(desc.sz_desc);
+    }
+  }
+
+  if (size !== null && entry.end > size) {
+    problems.push({type: 'bounds', message: 'Entry data out of bounds'});
+    return entry;
+  }
+
+  // 4) data: decrypt, decompress, CRC-32
+  if (opts.data !== false) {
+    try {
+      yield* readentry(sb, cdir, opts);
+    } catch (err) {
+      problems.push({
+        type: err.code === 'ERR_ZIP_CRC_MISMATCH' ? 'crc' : 'data',
+        code: err.code || null,
+        message: err.message
+      });
+    }
+  }
+
+  return entry;
+}
+
+function* verifyzip(sb, zip, opts = {}) {
+  /*
+   * 1) EOCD vs central directory: entry count and size
+   * 2) Every entry, see verifyentry()
+   * 3) Layout, entries in source order: entries out of
+   *    bounds or overlapping each other or the central
+   *    directory, gaps between entries, and bytes no record
+   *    accounts for (before the first entry, between the
+   *    last entry and the central directory, between the
+   *    central directory and the EOCD, after the EOCD)
+   */
+  let {eocd, cdirList, sz_end} = zip;
+  let size = sb.size ? bint(sb.size()) : null;
+  let problems = [];
+
+  // 1)
+  let sz_cd = cdirList.reduce((sum, cdir) => sum + bint(cdir.sz_cdir), 0n);
+  if (bint(eocd.num_entries_cd) !== bint(cdirList.length)) {
+    problems.push({
+      type: 'eocd_mismatch',
+      field: 'num_entries_cd',
+      expected: eocd.num_entries_cd,
+      actual: cdirList.length
+    });
+  }
+  if (eocd.sz_cd !== sz_cd) {
+    problems.push({type: 'eocd_mismatch', field: 'sz_cd', expected: eocd.sz_cd, actual: sz_cd});
+  }
+
+  // 2)
+  let entries = [];
+  for (let cdir of cdirList) {
+    entries.push(yield* verifyentry(sb, cdir, size, opts));
+  }
+
+  // 3)
+  let cdStart = bint(diskoff(sb, eocd.num_disk_cd, eocd.off_disk_cd));
+  let cdEnd = cdStart + eocd.sz_cd;
+  let sorted = entries
+    .filter((entry) => entry.end > entry.start)
+    .sort((a, b) => (a.start < b.start ? -1 : (a.start > b.start ? 1 : 0)));
+
+  // split and spanned archives start with a marker, the
+  // data descriptor signature ('PK00' if it fit one volume)
+  let last = null;
+  let pos = 0n;
+  let buf_sig = getbuf(4);
+  if ((yield sb.head(buf_sig, 0, 4)) === 4
+    && [SIG_DESC, SIG_SPAN_SINGLE].includes(lget32(buf_sig, 0))) {
+    pos = 4n;
+  }
+
+  for (let entry of sorted) {
+    if (last !== null && entry.start < last.end) {
+      entry.problems.push({type: 'overlap', filename: last.filename});
+    } else if (entry.start > pos) {
+      problems.push({
+        type: last === null ? 'unreferenced' : 'gap',
+        start: pos,
+        end: entry.start
+      });
+    }
+
+    if (entry.end > cdStart && entry.start < cdEnd) {
+      entry.problems.push({type: 'overlap', filename: null, message: 'Overlaps the central directory'});
+    }
+
+    if (entry.end > pos) {
+      last = entry;
+      pos = entry.end;
+    }
+  }
+
+  if (cdStart > pos) {
+    problems.push({type: 'unreferenced', start: pos, end: cdStart});
+  }
+
+  if (size !== null) {
+    let endStart = size - bint(sz_end);
+    if (endStart > cdEnd) {
+      problems.push({type: 'unreferenced', start: cdEnd, end: endStart});
+    }
+
+    // EOCD_64 + locator, EOCD + comment
+    let sz_records = (eocd.sz_eocd64 !== undefined ? 12n + eocd.sz_eocd64 + 20n : 0n)
+      + 22n + bint(eocd.len_comment);
+    if (size > endStart + sz_records) {
+      problems.push({type: 'unreferenced', start: endStart + sz_records, end: size});
+    }
+  }
+
+  return {
+    ok: problems.length === 0 && entries.every((entry) => entry.problems.length === 0),
+    entries,
+    problems
+  };
+}
+
+/*
+ * APK Signing Block (APK Signature Scheme v2 and later),
+ * between the last local entry and the central directory:
+ *
+ *  size of block, excluding this field: uint64
+ *  ID-value pairs: uint64 length, uint32 ID, value
+ *  size of block: uint64, same as the first
+ *  magic: "APK Sig Block 42"
+ *
+ * https://source.android.com/docs/security/features/apksigning/v2
+ */
+const APK_SIG_MAGIC = 'APK Sig Block 42';
+const SZ_APK_SIG_FOOTER = 24;
+const SZ_APK_CHUNK = 1024 * 1024;
+
+const APK_BLOCK_IDS = new Map([
+  [0x7109871a, 'v2'],
+  [0xf05368c0, 'v3'],
+  [0x1b93ad61, 'v3.1'],
+  [0x42726577, 'padding'],
+  [0x2b09189e, 'source_stamp_v1'],
+  [0x6dff800d, 'source_stamp'],
+  [0x504b4453, 'dependency_info']
+]);
+
+// content: the chunked digest the signed data holds, null
+// for the verity ones (over a Merkle tree of 4K pages)
+const APK_SIG_ALGORITHMS = new Map([
+  [0x0101, {name: 'RSASSA-PSS-SHA256', hash: 'sha256', pss: true, content: 'sha256'}],
+  [0x0102, {name: 'RSASSA-PSS-SHA512', hash: 'sha512', pss: true, content: 'sha512'}],
+  [0x0103, {name: 'RSASSA-PKCS1-v1_5-SHA256', hash: 'sha256', pss: false, content: 'sha256'}],
+  [0x0104, {name: 'RSASSA-PKCS1-v1_5-SHA512', hash: 'sha512', pss: false, content: 'sha512'}],
+  [0x0201, {name: 'ECDSA-SHA256', hash: 'sha256', pss: false, content: 'sha256'}],
+  [0x0202, {name: 'ECDSA-SHA512', hash: 'sha512', pss: false, content: 'sha512'}],
+  [0x0301, {name: 'DSA-SHA256', hash: 'sha256', pss: false, content: 'sha256'}],
+  [0x0421, {name: 'RSASSA-PKCS1-v1_5-SHA256-VERITY', hash: 'sha256', pss: false, content: null}],
+  [0x0423, {name: 'ECDSA-SHA256-VERITY', hash: 'sha256', pss: false, content: null}],
+  [0x0425, {name: 'DSA-SHA256-VERITY', hash: 'sha256', pss: false, content: null}]
+]);
+
+/*
+ * Cursor over the little-endian, uint32 length-prefixed
+ * structures of the signature scheme blocks.
+ */
+function apkreader(buf, what) {
+  let off = 0;
+
+  const need = (len) => {
+    if (off + len > buf.length) {
+      throw new Error(`Invalid APK Signing Block: truncated ${what}`);
+    }
+  };
+
+  return {
+    more: () => off < buf.length,
+    u32: () => {
+      need(4);
+      off += 4;
+      return lget32(buf, off - 4) >>> 0;
+    },
+    bytes: () => {
+      need(4);
+      let len = lget32(buf, off) >>> 0;
+      off += 4;
+      need(len);
+      off += len;
+      return buf.subarray(off - len, off);
+    },
+    rest: () => buf.subarray(off)
+  };
+}
+
+// sequence of length-prefixed items, 'parse' gets the
+// bytes of each
+function apkseq(buf, what, parse) {
+  let items = [];
+  let rd = apkreader(buf, what);
+  while (rd.more()) {
+    items.push(parse(rd.bytes()));
+  }
+  return items;
+}
+
+function apkalgorithm(buf, what) {
+  let rd = apkreader(buf, what);
+  let algorithm = rd.u32();
+  let alg = APK_SIG_ALGORITHMS.get(algorithm);
+  return {algorithm, name: alg ? alg.name : null, value: rd.bytes()};
+}
+
+function apkcert(raw) {
+  let cert = {
+    raw,
+    subject: null,
+    issuer: null,
+    serialNumber: null,
+    fingerprint256: null,
+    validFrom: null,
+    validTo: null,
+    publicKey: null
+  };
+
+  // left null if the certificate does not parse
+  try {
+    let x509 = new crypto.X509Certificate(raw);
+    cert.subject = x509.subject;
+    cert.issuer = x509.issuer;
+    cert.serialNumber = x509.serialNumber;
+    cert.fingerprint256 = x509.fingerprint256;
+    cert.validFrom = new Date(x509.validFrom);
+    cert.validTo = new Date(x509.validTo);
+    cert.publicKey = new Uint8Array(x509.publicKey.export({type: 'spki', format: 'der'}));
+  } catch (err) {}
+
+  return cert;
+}
+
+/*
+ * Signers of a v2 or v3 (v3.1) scheme block. v3 adds the
+ * SDK range, in the signed data and again around it.
+ */
+function APK_SIGNERS(value, isV3) {
+  return apkseq(apkreader(value, 'signers').bytes(), 'signer', (buf_signer) => {
+    let signer = {};
+    let rd = apkreader(buf_signer, 'signer');
+    let signedData = rd.bytes();
+    if (isV3) {
+      signer.minSdk = rd.u32();
+      signer.maxSdk = rd.u32();
+    }
+
+    signer.signatures = apkseq(rd.bytes(), 'signatures', (buf) => {
+      let {algorithm, name, value} = apkalgorithm(buf, 'signature');
+      return {algorithm, name, signature: value};
+    });
+    signer.publicKey = rd.bytes();
+
+    let sd = apkreader(signedData, 'signed data');
+    signer.digests = apkseq(sd.bytes(), 'digests', (buf) => {
+      let {algorithm, name, value} = apkalgorithm(buf, 'digest');
+      return {algorithm, name, digest: value};
+    });
+    signer.certificates = apkseq(sd.bytes(), 'certificates', apkcert);
+    if (isV3) {
+      signer.signedMinSdk = sd.u32();
+      signer.signedMaxSdk = sd.u32();
+    }
+    signer.attributes = apkseq(sd.bytes(), 'attributes', (buf) => {
+      let attr = apkreader(buf, 'attribute');
+      return {id: attr.u32(), raw: attr.rest()};
+    });
+    signer.signedData = signedData;
+
+    return signer;
+  });
+}
+
+function* apkblock(sb, eocd) {
+  /*
+   * 1) Footer right before the central directory: size of
+   *    the block and magic. null if there is none
+   * 2) The whole block, both sizes must match
+   * 3) ID-value pairs, and the signers of the v2, v3 and
+   *    v3.1 schemes
+   */
+  let cdStart = bint(diskoff(sb, eocd.num_disk_cd, eocd.off_disk_cd));
+  if (cdStart < bint(8 + SZ_APK_SIG_FOOTER)) {
+    return null;
+  }
+
+  // 1)
+  let buf_footer = getbuf(SZ_APK_SIG_FOOTER);
+  let len = yield sb.head(buf_footer, cdStart - bint(SZ_APK_SIG_FOOTER), SZ_APK_SIG_FOOTER);
+  if (len !== SZ_APK_SIG_FOOTER
+    || Buffer.from(buf_footer.subarray(8)).toString('latin1') !== APK_SIG_MAGIC) {
+    return null;
+  }
+
+  let size = lget64_bint(buf_footer, 0);
+  let start = cdStart - size - 8n;
+  if (size < bint(SZ_APK_SIG_FOOTER) || size > bint(SZ_GB_1) || start < 0n) {
+    throw new Error('Invalid APK Signing Block size');
+  }
+
+  // 2)
+  let buf = getbuf(num32b(size + 8n));
+  if ((yield sb.head(buf, start, buf.byteLength)) !== buf.byteLength) {
+    throw new Error("EOF");
+  }
+  if (lget64_bint(buf, 0) !== size) {
+    throw new Error('Invalid APK Signing Block: sizes do not match');
+  }
+
+  // 3)
+  let pairs = [];
+  let end = buf.byteLength - SZ_APK_SIG_FOOTER;
+  for (let off = 8; off < end;) {
+    let sz_pair = off + 12 <= end ? lget64_bint(buf, off) : 0n;
+    if (sz_pair < 4n || bint(off + 8) + sz_pair > bint(end)) {
+      throw new Error('Invalid APK Signing Block: truncated ID-value pair');
+    }
+
+    let id = lget32(buf, off + 8) >>> 0;
+    pairs.push({
+      id,
+      name: APK_BLOCK_IDS.get(id) || null,
+      raw: buf.subarray(off + 12, off + 8 + num32b(sz_pair))
+    });
+    off += 8 + num32b(sz_pair);
+  }
+
+  const signers = (name) => {
+    let pair = pairs.find((pair) => pair.name === name);
+    return pair ? APK_SIGNERS(pair.raw, name !== 'v2') : null;
+  };
+
+  return {
+    start,
+    size: size + 8n,
+    pairs,
+    v2: signers('v2'),
+    v3: signers('v3'),
+    v31: signers('v3.1')
+  };
+}
+
+function* apkdigest(sb, eocd, block, hash) {
+  /*
+   * Digest of what the signing block does not cover, in
+   * three sections:
+   *  1) local entries, up to the signing block
+   *  2) central directory
+   *  3) EOCD, with the offset of the central directory
+   *     pointing to the signing block instead
+   * Every 1 MB chunk of a section is hashed on its own
+   * (0xa5, length, data), then the digests of the chunks
+   * (0x5a, count, digests)
+   */
+  let cdStart = bint(diskoff(sb, eocd.num_disk_cd, eocd.off_disk_cd));
+  let chunks = [];
+  let buf_chunk = getbuf(SZ_APK_CHUNK);
+
+  const digest = (tag, count, data) => {
+    let buf_hdr = getbuf(5);
+    buf_hdr[0] = tag;
+    lput32(buf_hdr, 1, count);
+    return crypto.createHash(hash).update(buf_hdr).update(data).digest();
+  };
+
+  const digestrange = function* (off, end) {
+    for (; off < end; off += bint(SZ_APK_CHUNK)) {
+      let len = num32b(BInt_min(end - off, bint(SZ_APK_CHUNK)));
+      if ((yield sb.head(buf_chunk, off, len)) !== len) {
+        throw new Error("EOF");
+      }
+      chunks.push(digest(0xa5, len, buf_chunk.subarray(0, len)));
+    }
+  };
+
+  // 1)
+  yield* digestrange(0n, block.start);
+
+  // 2)
+  yield* digestrange(cdStart, cdStart + eocd.sz_cd);
+
+  // 3)
+  let sz_eocd = 22 + Number(eocd.len_comment);
+  let buf_eocd = getbuf(sz_eocd);
+  if ((yield sb.tail(buf_eocd, 0, sz_eocd)) !== sz_eocd) {
+    throw new Error("EOF");
+  }
+  lput32(buf_eocd, 16, num32b(block.start));
+  chunks.push(digest(0xa5, sz_eocd, buf_eocd));
+
+  return new Uint8Array(digest(0x5a, chunks.length, Buffer.concat(chunks)));
+}
+
+function* apkverify(sb, eocd, block) {
+  /*
+   * Every signer of every scheme gets its own problems:
+   * 1) signatures over the signed data, with the signer's
+   *    public key
+   * 2) the public key is that of the first certificate
+   * 3) signatures and digests are of the same algorithms,
+   *    and for v3 the SDK range matches the signed one
+   * 4) content digests, see apkdigest(), each computed
+   *    once whichever signers ask for it. Verity digests
+   *    (over a Merkle tree) are not checked
+   * The block is ok if it has signers and none of them has
+   * a problem
+   */
+  let contents = new Map();
+  let signers = [...(block.v2 || []), ...(block.v3 || []), ...(block.v31 || [])];
+
+  for (let signer of signers) {
+    let problems = [];
+
+    // 1)
+    let key = null;
+    try {
+      key = crypto.createPublicKey({key: Buffer.from(signer.publicKey), format: 'der', type: 'spki'});
+    } catch (err) {
+      problems.push({type: 'public_key', message: err.message});
+    }
+
+    let numChecked = 0;
+    for (let {algorithm, signature} of signer.signatures) {
+      let alg = APK_SIG_ALGORITHMS.get(algorithm);
+      if (!alg || key === null) {
+        continue;
+      }
+
+      let isValid = false;
+      try {
+        isValid = crypto.verify(alg.hash, signer.signedData, {
+          key,
+          ...(alg.pss && {
+            padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+            saltLength: alg.hash === 'sha256' ? 32 : 64
+          })
+        }, signature);
+      } catch (err) {}
+
+      numChecked++;
+      if (!isValid) {
+        problems.push({type: 'signature', algorithm, message: `${alg.name} signature does not verify`});
+      }
+    }
+    if (numChecked === 0 && key !== null) {
+      problems.push({type: 'unsupported', message: 'No supported signature algorithm'});
+    }
+
+    // 2)
+    let cert = signer.certificates[0];
+    if (!cert || cert.publicKey === null || Buffer.compare(cert.publicKey, signer.publicKey) !== 0) {
+      problems.push({type: 'certificate', message: 'Public key does not match the first certificate'});
+    }
+
+    // 3)
+    let sigAlgs = signer.signatures.map((sig) => sig.algorithm).sort();
+    let digAlgs = signer.digests.map((dig) => dig.algorithm).sort();
+    if (sigAlgs.join() !== digAlgs.join()) {
+      problems.push({type: 'digest_list', message: 'Signatures and digests are of different algorithms'});
+    }
+    if (signer.minSdk !== undefined
+      && (signer.minSdk !== signer.signedMinSdk || signer.maxSdk !== signer.signedMaxSdk)) {
+      problems.push({type: 'sdk', message: 'SDK range does not match the signed data'});
+    }
+
+    // 4)
+    numChecked = 0;
+    for (let {algorithm, digest} of signer.digests) {
+      let alg = APK_SIG_ALGORITHMS.get(algorithm);
+      if (!alg || alg.content === null) {
+        continue;
+      }
+
+      if (!contents.has(alg.content)) {
+        contents.set(alg.content, yield* apkdigest(sb, eocd, block, alg.content));
+      }
+      let actual = contents.get(alg.content);
+
+      numChecked++;
+      if (Buffer.compare(actual, digest) !== 0) {
+        problems.push({type: 'digest', algorithm, expected: digest, actual});
+      }
+    }
+    if (numChecked === 0) {
+      problems.push({type: 'unsupported', message: 'No supported content digest'});
+    }
+
+    signer.problems = problems;
+  }
+
+  block.ok = signers.length > 0 && signers.every((signer) => signer.problems.length === 0);
+  return block;
+}
+
+function* apksigning(sb, eocd, opts = {}) {
+  let block = yield* apkblock(sb, eocd);
+  if (block !== null && opts.verify) {
+    yield* apkverify(sb, eocd, block);
+  }
+
+  return block;
+}
+
+/*
+ * JAR manifest (META-INF/MANIFEST.MF) and signature files
+ * (META-INF/*.SF): sections of 'Name: value' lines, split
+ * by blank lines, where a line starting with a space
+ * continues the one before. The first section holds the
+ * main attributes, every other one those of the entry it
+ * names. 'raw' keeps the bytes of each section, blank line
+ * included, which is what *.SF files take digests of.
+ */
+function MANIFEST(buf) {
+  let sections = [];
+  let lines = [];
+  let start = 0;
+
+  const section = (end) => {
+    let attributes = {};
+    for (let line of lines) {
+      let str = Buffer.concat(line).toString('utf8');
+      let idx = str.indexOf(': ');
+      if (idx > 0) {
+        attributes[str.slice(0, idx)] = str.slice(idx + 2);
+      }
+    }
+
+    let nameKey = Object.keys(attributes).find((key) => key.toLowerCase() === 'name');
+    sections.push({
+      name: nameKey !== undefined ? attributes[nameKey] : null,
+      attributes,
+      raw: buf.subarray(start, end)
+    });
+    lines = [];
+    start = end;
+  };
+
+  for (let off = 0; off < buf.length;) {
+    let end = off;
+    while (end < buf.length && buf[end] !== 0x0a && buf[end] !== 0x0d) {
+      end++;
+    }
+    let line = buf.subarray(off, end);
+    end += buf[end] === 0x0d && buf[end+1] === 0x0a ? 2 : (end < buf.length ? 1 : 0);
+
+    if (line.length === 0) {
+      if (lines.length > 0) {
+        section(end);
+      } else {
+        start = end;
+      }
+    } else if (line[0] === 0x20 && lines.length > 0) {
+      lines[lines.length - 1].push(line.subarray(1));
+    } else {
+      lines.push([line]);
+    }
+    off = end;
+  }
+
+  if (lines.length > 0) {
+    section(buf.length);
+  }
+
+  return sections;
+}
+
+// 'SHA-256-Digest: ...' attributes, or with 'suffix'
+// '-Manifest' the 'SHA-256-Digest-Manifest: ...' of *.SF
+function jardigests(attributes, suffix = '') {
+  let re = new RegExp(`^(.+)-Digest${suffix}$`, 'i');
+  let digests = [];
+  for (let [key, value] of Object.entries(attributes)) {
+    let match = key.match(re);
+    if (match) {
+      digests.push({algorithm: match[1], digest: value});
+    }
+  }
+  return digests;
+}
+
+// 'SHA-256' to 'sha256', null if unsupported
+function jarhash(algorithm) {
+  let hash = algorithm.toLowerCase().replace('-', '');
+  return crypto.getHashes().includes(hash) ? hash : null;
+}
+
+const JAR_SIG_BLOCKS = ['RSA', 'DSA', 'EC'];
+
+// signature related files, which the manifest does not list
+function isjarsigfile(filename) {
+  return /^META-INF\/(?:[^/]+\.(?:SF|RSA|DSA|EC)|SIG-[^/]*)$/i.test(filename);
+}
+
+function* jarmanifest(sb, index, opts = {}) {
+  /*
+   * 1) META-INF/MANIFEST.MF, null if there is none
+   * 2) Signature files, each with its signature block
+   *    (*.RSA, *.DSA or *.EC of the same name) if any
+   */
+
+  // 1)
+  let cdir = index.get('META-INF/MANIFEST.MF', {caseInsensitive: true});
+  if (cdir === null) {
+    return null;
+  }
+
+  let raw = yield* readentry(sb, cdir, opts);
+  let [main, ...sections] = MANIFEST(raw);
+
+  // 2)
+  let signatures = [];
+  for (let cdir_sf of index.find('META-INF/*.SF', {caseInsensitive: true})) {
+    let base = cdir_sf.filename.slice(0, -3);
+    let block = JAR_SIG_BLOCKS
+      .map((ext) => index.get(`${base}.${ext}`, {caseInsensitive: true}))
+      .find((cdir_block) => cdir_block !== null);
+
+    let [sf_main, ...sf_sections] = MANIFEST(yield* readentry(sb, cdir_sf, opts));
+    signatures.push({
+      file: cdir_sf.filename,
+      block: block ? block.filename : null,
+      attributes: sf_main ? sf_main.attributes : {},
+      digests: sf_main ? jardigests(sf_main.attributes, '-Manifest') : [],
+      mainDigests: sf_main ? jardigests(sf_main.attributes, '-Manifest-Main-Attributes') : [],
+      entries: sf_sections.map(({name, attributes}) => ({name, digests: jardigests(attributes)}))
+    });
+  }
+
+  return {
+    raw,
+    main: main ? {attributes: main.attributes, raw: main.raw} : {attributes: {}, raw: raw.subarray(0, 0)},
+    entries: sections.map(({name, attributes, raw}) => ({name, attributes, digests: jardigests(attributes), raw})),
+    signatures
+  };
+}
+
+function* verifyjar(sb, cdirList, index, opts = {}) {
+  /*
+   * 1) Entries the manifest lists, against their digests
+   * 2) In signed jars, entries no signature file lists,
+   *    and which are thus not covered by the signatures
+   * 3) Signature files against the manifest: digest of the
+   *    whole manifest, or failing that of its main section
+   *    and of every section they list
+   *
+   * The signature blocks (PKCS #7) are not checked, only
+   * that they are there.
+   */
+  let jar = yield* jarmanifest(sb, index, opts);
+  if (jar === null) {
+    throw zip_error('ERR_ZIP_NOT_FOUND', 'No such entry: META-INF/MANIFEST.MF');
+  }
+
+  const check = (problems, name, data, digests) => {
+    for (let {algorithm, digest} of digests) {
+      let hash = jarhash(algorithm);
+      if (hash === null) {
+        problems.push({type: 'unsupported', algorithm});
+        continue;
+      }
+
+      let actual = crypto.createHash(hash).update(data).digest('base64');
+      if (actual !== digest) {
+        problems.push({type: 'digest', name, algorithm, expected: digest, actual});
+      }
+    }
+  };
+
+  // 1)
+  let entries = [];
+  let listed = new Map();
+  for (let {name, digests} of jar.entries) {
+    let cdir = name !== null ? index.get(name) : null;
+    let problems = [];
+    entries.push({name, cdir, problems});
+    if (name === null) {
+      continue;
+    }
+    listed.set(entrypath(name), entries[entries.length - 1]);
+
+    if (cdir === null) {
+      problems.push({type: 'missing', message: 'Listed in the manifest but not in the archive'});
+      continue;
+    }
+
+    if (digests.length > 0) {
+      try {
+        check(problems, name, yield* readentry(sb, cdir, opts), digests);
+      } catch (err) {
+        problems.push({type: 'data', code: err.code || null, message: err.message});
+      }
+    }
+  }
+
+  // 2)
+  if (jar.signatures.length > 0) {
+    let signed = new Set();
+    for (let sig of jar.signatures) {
+      sig.entries
+        .filter((entry) => entry.name !== null)
+        .forEach((entry) => signed.add(entrypath(entry.name)));
+    }
+
+    for (let cdir of cdirList) {
+      let name = entrypath(cdir.filename);
+      if (isdirentry(cdir) || isjarsigfile(name)
+        || /^META-INF\/MANIFEST\.MF$/i.test(name) || signed.has(name)) {
+        continue;
+      }
+
+      let entry = listed.get(name);
+      if (entry === undefined) {
+        entry = {name: cdir.filename, cdir, problems: []};
+        entries.push(entry);
+      }
+      entry.problems.push({type: 'unlisted', message: 'Not covered by the signatures'});
+    }
+  }
+
+  // 3)
+  let sections = new Map(jar.entries.map((entry) => [entry.name, entry]));
+  let signatures = [];
+  for (let sig of jar.signatures) {
+    let problems = [];
+    if (sig.block === null) {
+      problems.push({type: 'no_block', message: 'No signature block'});
+    }
+
+    let whole = [];
+    check(whole, null, jar.raw, sig.digests);
+    if (sig.digests.length === 0 || whole.length > 0) {
+      check(problems, null, jar.main.raw, sig.mainDigests);
+      for (let {name, digests} of sig.entries) {
+        let section = sections.get(name);
+        if (section === undefined) {
+          problems.push({type: 'missing', name, message: 'Not in the manifest'});
+          continue;
+        }
+        check(problems, name, section.raw, digests);
+      }
+    }
+
+    signatures.push({file: sig.file, block: sig.block, problems});
+  }
+
+  return {
+    ok: entries.every((entry) => entry.problems.length === 0)
+      && signatures.every((sig) => sig.problems.length === 0),
+    entries,
+    signatures
+  };
+}
+
+/*
+ * Locate and parse the EOCD (and EOCD_64) of the archive,
+ * and the length of any data prepended to it.
+ */
+function* zipeocd(sb, opts = {}) {
+  /*
+   * 1) Scan back from the end of the source for the EOCD
+   * 2) Read the EOCD again in full, the comment may be
+   *    longer than what the scan kept
+   * 3) ZIP64: follow the EOCD_64 locator, right before the
+   *    EOCD, to the EOCD_64
+   */
+  let rb = resizableBuffer();
+
+  let eocd = null;
+
+  let isFound = false;
+  let buf_64 = getbuf(64);
+  let offset = 0;
+
+  // bytes from the start of the EOCD (or EOCD_64) to the end
+  let sz_end = 0;
+
+  // 1)
+  while (!isFound && offset < SZ_MB_4) {
+    let len = yield sb.tail(buf_64, offset, buf_64.byteLength);
+    if (len <= 0) {
+      throw new Error("EOF");
+    }
+    offset += len;
+
+    rb.coalesce_front(buf_64, 0, len);
+    /*
+     * Back-to-Front traversal of buffer so to minimize
+     * minimize potential signature collision with other
+     * parts of zip file data.
+     *
+     *
+     * Starts at the very back of the loop. Set loop
+     * limit as the min(len+4, rb.length), where 'len'
+     * is the number of bytes read in this pass.
+     * rb.length is length of the entire buffer.
+     *
+     * The min() function ensures loop integrity on the
+     * initial pass of the outer loop.
+     *
+     * Reason for len+4 is to check the last bytes of
+     * the current stream against the first bytes of
+     * the previous stream for EOCD signature. This is
+     * patch work in case the signature is split in
+     * the 4-byte window between consecutive streams.
+     *
+     * e.g.
+     *
+     * [0] [1] [2] [3] [4] | [5] [6] [7] [8] [9]
+     *
+     * let indices 0 to 4 be bytes from the
+     * current stream, let indices 5 to 9 be bytes
+     * from the previous stream.
+     *
+     * Then the signature could be in bytes from the
+     * indicies:
+     *   2 3 4 | 5
+     *   3 4 | 5 6
+     *   4 | 5 6 7
+     *
+     * Reason loop variable 'i' is initialized to lim-4
+     * is so the loop always ends on an even iteration,
+     * as the EOCD signature is 4 bytes.
+     *
+     * Note how i is decremented by 1 per loop: a
+     * 2-byte sequence occurs in both even and odd
+     * countings - we have to check for both.
+     */
+    let lim = Math.min(len+4, rb.length());
+    for (let i=lim-4; i>=0; --i) {
+      if (rb.lget32(i) === SIG_EOCD) {
+        sz_end = offset - i;
+        isFound = true;
+        break;
+      }
+    }
+
+    // prevent out-of-memory
+    rb.ensureSize(buf_64.byteLength);
+  }
+
+  if (!isFound) {
+    throw new Error("EOCD Not Found");
+  }
+
+  // 2)
+  let buf_eocd = getbuf(sz_end);
+  if ((yield sb.tail(buf_eocd, 0, sz_end)) !== sz_end) {
+    throw new Error("EOF");
+  }
+  eocd = EOCD(buf_eocd, 0, opts);
+
+  // 3)
+  let buf_loc64 = getbuf(20);
+  if ((yield sb.tail(buf_loc64, sz_end, 20)) === 20
+    && lget32(buf_loc64, 0) === SIG_EOCD_64_LOC) {
+    let loc64 = EOCD_64_LOC(buf_loc64, 0);
+    let buf_eocd64 = yield* readeocd64(sb, loc64, sz_end + 20);
+    eocd = EOCD_64(buf_eocd64, 0, eocd);
+    sz_end += 20 + buf_eocd64.byteLength;
+  }
+
+  // the EOCD is on the last disk
+  if (!sb.disk && bint(eocd.num_disk) !== 0n) {
+    throw new Error(`Archive spans ${bint(eocd.num_disk) + 1n} volumes, only one was given`);
+  }
+
+  let prefix = yield* prefixlen(sb, eocd, sz_end);
+  return {eocd, sz_end, prefix};
+}
+
+/*
+ * Reader of the central directory records, one at a time
+ * in directory order, from off_disk_cd for sz_cd bytes.
+ * next() yields reads and returns the next record, null
+ * past the last one. Records are found by the lengths in
+ * the one before, never by searching for signatures.
+ *
+ * With opts.lenient, a record which does not parse ends
+ * the directory instead of throwing, leaving verify() to
+ * report the count mismatch.
+ */
+function cdreader(sb, eocd, opts = {}) {
+  let limits = opts.limits;
+  let off = bint(diskoff(sb, eocd.num_disk_cd, eocd.off_disk_cd));
+  let end = off + eocd.sz_cd;
+  let count = 0;
+
+  // window over the source, [buf_off, buf_off + buf.length)
+  let buf_2mb = getbuf(SZ_MB_2);
+  let buf = buf_2mb.subarray(0, 0);
+  let buf_off = off;
+
+  const fill = function* (size) {
+    let readsz = num32b(BInt_min(end - off, bint(buf_2mb.byteLength)));
+    if (readsz < size) {
+      return false;
+    }
+
+    let len = yield sb.head(buf_2mb, off, readsz);
+    if (len !== readsz) {
+      throw new Error("EOF");
+    }
+
+    buf = buf_2mb.subarray(0, len);
+    buf_off = off;
+    return true;
+  };
+
+  const invalid = (msg) => {
+    if (opts.lenient) {
+      off = end;
+      return null;
+    }
+    throw new Error(`${msg} at offset ${off}`);
+  };
+
+  return {
+    next: function* () {
+      if (off >= end) {
+        return null;
+      }
+
+      // 46 = sizeof CDIR without variable length fields
+      let pos = num32b(off - buf_off);
+      if (pos + 46 > buf.length) {
+        if (!(yield* fill(46))) {
+          return invalid('Truncated central directory record');
+        }
+        pos = 0;
+      }
+
+      if (lget32(buf, pos) !== SIG_CDIR) {
+        return invalid('Invalid central directory signature');
+      }
+
+      let sz_cdir = 46 + lget16(buf, pos+28) + lget16(buf, pos+30) + lget16(buf, pos+32);
+      if (pos + sz_cdir > buf.length) {
+        if (!(yield* fill(sz_cdir))) {
+          return invalid('Truncated central directory record');
+        }
+        pos = 0;
+      }
+
+      let cdir = CDIR(buf, pos, opts);
+      off += bint(cdir.sz_cdir);
+
+      // the EOCD count may understate the records
+      count++;
+      if (limits && count > limits.maxEntries) {
+        throw limit_error('ERR_ZIP_TOO_MANY_ENTRIES',
+          'Number of entries', count, limits.maxEntries);
+      }
+
+      return cdir;
+    }
+  };
+}
+
+function* zipopen(sb, opts = {}) {
+  let {eocd, sz_end, prefix} = yield* zipeocd(sb, opts);
+  sb = prefixsource(sb, prefix);
+
+  let limits = opts.limits;
+  if (limits) {
+    assert_cd_limits(eocd, limits);
+  }
+
+  let cdirList = [];
+  let cd = cdreader(sb, eocd, opts);
+  for (let cdir = yield* cd.next(); cdir !== null; cdir = yield* cd.next()) {
+    cdirList.push(cdir);
+  }
+
+  // final sanity check, left to verify() if lenient
+  let expected = bint(eocd.num_entries_cd);
+  let actual = bint(cdirList.length);
+  if (expected !== actual && !opts.lenient) {
+    throw new Error(`Expected ${expected} CDIR records, got ${actual}`);
+  }
+
+  if (limits) {
+    assert_archive_limits(sb, cdirList, limits);
+  }
+
+  return {eocd, cdirList, sz_end, prefix};
+}
+
+/*
+ * EOCD_64 record, where the EOCD_64 locator says it is.
+ * Failing that (data prepended to the archive shifts it),
+ * the record right before the locator: 'sz_tail' bytes
+ * from the end, the last EOCD_64 signature within SZ_KB_64
+ * whose record size adds up.
+ */
+function* readeocd64(sb, loc64, sz_tail) {
+  let buf_hdr = getbuf(12);
+  let off64 = diskoff(sb, loc64.num_disk_eocd64, loc64.off_eocd64);
+  if ((yield sb.head(buf_hdr, off64, 12)) === 12 && lget32(buf_hdr, 0) === SIG_EOCD_64) {
+    let sz_eocd64 = 12n + lget64_bint(buf_hdr, 4);
+    if (sz_eocd64 < 56n || sz_eocd64 > bint(SZ_MB_4)) {
+      throw new Error('Invalid EOCD_64 size');
+    }
+
+    let buf = getbuf(num32b(sz_eocd64));
+    if ((yield sb.head(buf, off64, buf.byteLength)) !== buf.byteLength) {
+      throw new Error("EOF");
+    }
+    return buf;
+  }
+
+  let buf = getbuf(SZ_KB_64);
+  let len = yield sb.tail(buf, sz_tail, buf.byteLength);
+  for (let i=len-56; i>=0; --i) {
+    if (lget32(buf, i) === SIG_EOCD_64 && 12n + lget64_bint(buf, i+4) === bint(len - i)) {
+      return buf.slice(i, len);
+    }
+  }
+
+  throw new Error('EOCD_64 Not Found');
+}
+
+/*
+ * Length of data prepended to the archive (self-extracting
+ * stubs, shell scripts in front of executable jars), which
+ * shifts everything but the offsets recorded in the
+ * archive.
+ *
+ * The central directory ends where the EOCD (or EOCD_64)
+ * starts, the difference with where the EOCD says it ends
+ * is the length of the prefix. It is only taken as such if
+ * a CDIR record is found at the biased offset and not at
+ * the unbiased one, bytes between the central directory
+ * and the EOCD look the same otherwise.
+ */
+function* prefixlen(sb, eocd, sz_end) {
+  if (sb.disk || !sb.size || bint(eocd.num_entries_cd) === 0n) {
+    return 0n;
+  }
+
+  let cdEnd = bint(yield sb.size()) - bint(sz_end);
+  let prefix = cdEnd - eocd.off_disk_cd - eocd.sz_cd;
+  if (prefix <= 0n) {
+    return 0n;
+  }
+
+  let buf_sig = getbuf(4);
+  const iscdir = function* (off) {
+    return (yield sb.head(buf_sig, off, 4)) === 4 && lget32(buf_sig, 0) === SIG_CDIR;
+  };
+
+  if ((yield* iscdir(eocd.off_disk_cd)) || !(yield* iscdir(eocd.off_disk_cd + prefix))) {
+    return 0n;
+  }
+
+  return prefix;
+}
+
+/*
+ * View of a reader with the first 'prefix' bytes cut off,
+ * so offsets from the archive records can be used as is.
+ */
+function prefixsource(sb, prefix) {
+  if (prefix === 0n) {
+    return sb;
+  }
+
+  return {
+    head: (buf, off, len) => sb.head(buf, bint(off) + prefix, len),
+    tail: (buf, off, len) => sb.tail(buf, off, len),
+    ...(sb.size && {size: () => bint(sb.size()) - prefix}),
+    close: () => sb.close()
+  };
+}
+
+function* readprefix(sb, prefix) {
+  let buf = getbuf(num32b(prefix));
+  let len = yield sb.head(buf, 0, buf.byteLength);
+  if (len !== buf.byteLength) {
+    throw new Error("EOF");
+  }
+
+  return buf;
+}
+
+/*
+ * First offset at or after 'off' holding one of the 4-byte
+ * signatures 'sigs', -1n if there is none before the end of
+ * the source.
+ */
+function* scansig(sb, off, sigs) {
+  let buf = getbuf(SZ_KB_64);
+  off = bint(off);
+  for (;;) {
+    let len = yield sb.head(buf, off, buf.byteLength);
+    if (len < 4) {
+      return -1n;
+    }
+
+    for (let i=0; i+4<=len; i++) {
+      if (sigs.includes(lget32(buf, i))) {
+        return off + bint(i);
+      }
+    }
+
+    // the next read overlaps the last 3 bytes
+    off += bint(len - 3);
+  }
+}
+
+/*
+ * Data descriptor (with signature) closing the data which
+ * starts at 'data_off': the first SIG_DESC whose compressed
+ * size matches its distance from the data.
+ */
+function* scandesc(sb, data_off, isZip64) {
+  let buf_desc = getbuf(24);
+  let off = data_off;
+  for (;;) {
+    off = yield* scansig(sb, off, [SIG_DESC]);
+    if (off === -1n) {
+      return null;
+    }
+
+    let len = yield sb.head(buf_desc, off, buf_desc.byteLength);
+    let sz_desc = isZip64 ? 24 : 16;
+    if (len >= sz_desc) {
+      let desc = {...DESC(buf_desc, 4, isZip64), sz_desc};
+
+      // a ZIP64 descriptor read as a 32-bit one has the high
+      // half of the compressed size for uncompressed size
+      if (!isZip64 && len >= 24 && desc.sz_compress > 0n && desc.sz_uncompress === 0n) {
+        desc = {...DESC(buf_desc, 4, true), sz_desc: 24};
+      }
+
+      let sz_data = off - data_off;
+      if (desc.sz_compress === (isZip64 ? sz_data : sz_data & 0xffffffffn)) {
+        desc.sz_compress = sz_data;
+        return desc;
+      }
+    }
+
+    off += 1n;
+  }
+}
+
+/*
+ * End of a deflate stream no descriptor says the length of:
+ * inflate a window of the data, doubling it whenever the
+ * stream runs out of input, until the stream ends. Corrupt
+ * data ends the search right away, and at most
+ * limits.maxEntrySize (SZ_SCAN_INFLATE_MAX without limits)
+ * bytes are inflated, as the data is untrusted. Returns
+ * sizes and CRC-32 of the stream, null if its end is not
+ * found.
+ */
+const SZ_SCAN_INFLATE_MAX = 256 * 1024 * 1024;
+
+function* scandeflate(sb, data_off, size, limits) {
+  let max = limits && limits.maxEntrySize !== undefined
+    ? Math.min(Number(limits.maxEntrySize), buffer.constants.MAX_LENGTH)
+    : SZ_SCAN_INFLATE_MAX;
+  let avail = size !== null ? size - data_off : null;
+  if (avail !== null && avail <= 0n) {
+    return null;
+  }
+
+  for (let window = bint(SZ_KB_64); ; window *= 2n) {
+    let isEof = avail !== null && window >= avail;
+    let buf_data = getbuf(num32b(isEof ? avail : window));
+    let len = yield sb.head(buf_data, data_off, buf_data.byteLength);
+    if (len < buf_data.byteLength) {
+      isEof = true;
+    }
+
+    try {
+      let {buffer, engine} = zlib.inflateRawSync(buf_data.subarray(0, Math.max(len, 0)),
+        {info: true, maxOutputLength: Math.max(max, 1)});
+      return {
+        crc_32:         CRC32.buf(buffer),
+        sz_compress:    bint(engine.bytesWritten),
+        sz_uncompress:  bint(buffer.byteLength),
+        sz_desc:        0
+      };
+    } catch (err) {
+      // only a stream cut short can end further on
+      if (isEof || err.code !== 'Z_BUF_ERROR' || window > 2n * bint(max)) {
+        return null;
+      }
+    }
+  }
+}
+
+function* ziprecover(sb, opts = {}) {
+  /*
+   * Recovery mode, for archives without a usable EOCD or
+   * central directory: walk the local headers instead.
+   *
+   * 1) Find the next LOC signature: from the start of the
+   *    source (skipping any prefix), then from the end of
+   *    the previous entry. A central directory or EOCD
+   *    signature ends the walk
+   * 2) Parse the LOC
+   * 3) Find where the data ends:
+   *      - sizes in the LOC: taken as they are
+   *      - deferred to a data descriptor: the descriptor
+   *        found by scandesc()
+   *      - DEFLATE without a descriptor signature: the end
+   *        of the deflate stream
+   *    Entries running past the end of the source, or
+   *    whose end is not found, are partial and end the walk
+   * 4) Synthesize the CDIR record from the LOC
+   */
+  let size = sb.size ? bint(sb.size()) : null;
+  let limits = opts.limits;
+  let cdirList = [];
+  let off = 0n;
+  let off_end = 0n;
+  let buf_loc = getbuf(SZ_LOC_MAX);
+
+  for (;;) {
+    // 1)
+    off = yield* scansig(sb, off, [SIG_LOC, SIG_CDIR, SIG_EOCD_64, SIG_EOCD]);
+    if (off === -1n) {
+      break;
+    }
+
+    let len = yield sb.head(buf_loc, off, buf_loc.byteLength);
+    if (lget32(buf_loc, 0) !== SIG_LOC) {
+      off_end = off;
+      break;
+    }
+
+    // 2)
+    if (len < 30) {
+      break;
+    }
+    let loc = LOC(buf_loc, 0, opts);
+    let data_off = off + bint(loc.sz_loc);
+
+    // 3)
+    let isDeferred = getbit(loc.flg_gen, 3) === 1
+      && loc.crc_32 === 0
+      && loc.sz_compress === 0n;
+    let desc = null;
+    if (isDeferred) {
+      let isZip64 = loc.extras.some((ext) => ext.id === EXTSIG_ZIP64);
+      desc = yield* scandesc(sb, data_off, isZip64);
+      if (desc === null && loc.compression === C_DEFLATE) {
+        desc = yield* scandeflate(sb, data_off, size, limits);
+
+        // skip over the descriptor, without signature
+        let found = desc && (yield* getdesc(sb, desc, loc, data_off));
+        if (found && found.crc_32 === desc.crc_32 && found.sz_uncompress === desc.sz_uncompress) {
+          desc.sz_desc = found.sz_desc;
+        }
+      }
+    }
+
+    let sz_compress = desc ? desc.sz_compress : loc.sz_compress;
+    let end = data_off + sz_compress;
+    let isPartial = (isDeferred && desc === null)
+      || (size !== null ? end > size : (yield sb.head(getbuf(1), end - 1n, 1)) !== 1);
+
+    // 4)
+    cdirList.push({
+      sig:            null,
+      ver:            loc.ver,
+      ver_ext:        loc.ver,
+      flg_gen:        loc.flg_gen,
+      compression:    loc.compression,
+      tm_last_mod:    loc.tm_last_mod,
+      dt_last_mod:    loc.dt_last_mod,
+      crc_32:         desc ? desc.crc_32 : loc.crc_32,
+      sz_compress,
+      sz_uncompress:  desc ? desc.sz_uncompress : loc.sz_uncompress,
+      len_filename:   loc.len_filename,
+      len_ext:        loc.len_ext,
+      len_comment:    0,
+      num_disk:       0,
+      attrs_int:      0,
+      attrs_ext:      0n,
+      off_loc:        off,
+      sz_cdir:        0,
+      filename:       loc.filename,
+      filename_raw:   loc.filename_raw,
+      comment:        '',
+      comment_raw:    getbuf(0),
+      extras:         loc.extras,
+      mtime:          loc.mtime,
+      atime:          loc.atime,
+      ctime:          loc.ctime,
+      time_src:       loc.time_src,
+      partial:        isPartial
+    });
+
+    if (limits && cdirList.length > limits.maxEntries) {
+      throw limit_error('ERR_ZIP_TOO_MANY_ENTRIES',
+        'Number of entries', cdirList.length, limits.maxEntries);
+    }
+
+    off = end + bint(desc ? desc.sz_desc : 0);
+    off_end = size !== null && off > size ? size : off;
+    if (isPartial) {
+      break;
+    }
+  }
+
+  if (cdirList.length === 0) {
+    throw new Error('No local headers found');
+  }
+
+  if (limits) {
+    assert_archive_limits(sb, cdirList, limits);
+  }
+
+  let eocd = {
+    sig:                  null,
+    num_disk:             0,
+    num_disk_cd:          0,
+    num_disk_entries_cd:  cdirList.length,
+    num_entries_cd:       cdirList.length,
+    sz_cd:                0n,
+    off_disk_cd:          off_end,
+    len_comment:          0,
+    comment:              '',
+    comment_raw:          getbuf(0),
+    is_zip_64:            false,
+    recovered:            true
+  };
+
+  return {eocd, cdirList, sz_end: 0, prefix: 0n};
+}
+
+/*
+ * zipopen(), falling back to ziprecover() with opts.recover
+ * if the EOCD or central directory cannot be read. Limits
+ * exceeded are not recovered from.
+ */
+function* zipload(sb, opts = {}) {
+  if (!opts.recover) {
+    return yield* zipopen(sb, opts);
+  }
+
+  try {
+    return yield* zipopen(sb, opts);
+  } catch (err) {
+    if (err.code) {
+      throw err;
+    }
+
+    let zip = yield* ziprecover(sb, opts);
+    zip.eocd.error = err.message;
+    return zip;
+  }
+}
+
+/**
+ * @param src Path to the zip file, an open file descriptor,
+ *  a Buffer/Uint8Array holding the archive, or any object
+ *  implementing the reader interface (see randomAccessFile).
+ *  For split or spanned archives, an array of those, one
+ *  per volume in disk order; a path to 'name.zip' picks up
+ *  sibling 'name.z01', 'name.z02', ... volumes by itself.
+ * @param opts {
+ *    encoding: of filenames and comments without the UTF-8
+ *      flag (general purpose bit 11), a TextDecoder label or
+ *      function(bytes) => string. Defaults to 'cp437',
+ *    password: for encrypted entries, a string, bytes or a
+ *      function(cdir) returning one,
+ *    lenient: open archives whose central directory holds
+ *      a different number of records than the EOCD says,
+ *      leaving it to verify() to report. The central
+ *      directory then ends at the first record which does
+ *      not parse,
+ *    limits: {
+ *      maxEntries, maxCdSize, maxTotalSize, maxEntrySize,
+ *      maxRatio, allowOverlap
+ *    }, for untrusted archives. Each raises its own error
+ *      code on opening (ERR_ZIP_TOO_MANY_ENTRIES,
+ *      ERR_ZIP_CD_TOO_LARGE, ERR_ZIP_TOTAL_TOO_LARGE,
+ *      ERR_ZIP_OVERLAP) or when an entry is read
+ *      (ERR_ZIP_ENTRY_TOO_LARGE, ERR_ZIP_RATIO_TOO_HIGH),
+ *    recover: if the EOCD or central directory cannot be
+ *      read (e.g. a truncated download), rebuild cdirList
+ *      from the local headers instead. The eocd is then
+ *      synthesized, with 'recovered: true' and 'error', why
+ *      the central directory could not be used
+ *  }
+ *
+ * @returns Returns the following object:
+ *  {
+ *    eocd: {
+ *      sig,
+ *      num_disk,
+ *      num_disk_cd,
+ *      num_disk_entries_cd,
+ *      num_entries_cd,
+ *      sz_cd,
+ *      off_disk_cd,
+ *      len_comment,
+ *      comment,
+ *      comment_raw,
+ *      is_zip_64,
+ *      ...for ZIP64 archives, the EOCD_64 fields as well,
+ *      the counts, sizes and offsets above taken from it:
+ *      zip64_sig,
+ *      sz_eocd64,
+ *      ver,
+ *      ver_ext,
+ *      zip64_ext: [{id, raw}], blocks of the extensible
+ *        data sector, null if they do not add up,
+ *      zip64_ext_raw: Uint8Array of the sector
+ *    },
+ *    cdirList: [{
+ *      sig,
+ *      ver,
+ *      ver_ext,
+ *      flg_gen,
+ *      compression,
+ *      tm_last_mod,
+ *      dt_last_mod,
+ *      crc_32,
+ *      sz_compress,
+ *      sz_uncompress,
+ *      len_filename,
+ *      len_ext,
+ *      len_comment,
+ *      num_disk,
+ *      attrs_int,
+ *      attrs_ext,
+ *      off_loc,
+ *      sz_cdir,
+ *      filename,
+ *      filename_raw: Uint8Array, undecoded filename,
+ *      comment,
+ *      comment_raw: Uint8Array, undecoded comment,
+ *      extras: [{
+ *        id: header ID,
+ *        name: e.g. 'zip64', 'ntfs', null if unknown,
+ *        raw: Uint8Array of the field's data,
+ *        parsed: decoded value, null if there is no decoder
+ *      }],
+ *      mtime, atime, ctime: Dates, atime and ctime null
+ *        unless an extra field provides them,
+ *      time_src: where the times come from, 'ntfs',
+ *        'extended' (Info-ZIP 0x5455), 'unix' or 'dos',
+ *      partial: recovered records only, true if the entry
+ *        is cut short and cannot be extracted whole
+ *    }],
+ *    prefix: length in bytes of data prepended to the
+ *      archive, such as the stub of a self-extracting
+ *      executable; the offsets in the records count from
+ *      its end. 0n if there is none,
+ *    readPrefix(): Uint8Array of the prepended data,
+ *    getEntry(name, {caseInsensitive}): the CDIR record
+ *      named 'name', or null. Backslashes and '/' are both
+ *      taken as separators, and a trailing '/' is optional,
+ *    find(glob, {caseInsensitive}): CDIR records whose names
+ *      match 'glob' ('*', '**', '?', '[...]', '{a,b}'),
+ *    readdir(path): the nodes directly under directory
+ *      'path', '' being the root. Throws ERR_ZIP_NOT_FOUND
+ *      or ERR_ZIP_NOT_A_DIRECTORY,
+ *    tree(): the root node, where nodes are
+ *      {name, path, isDir, cdir, children}; 'cdir' is null
+ *      for directories with no record of their own, and
+ *      'children' null for files,
+ *    unzip(cdir, {password}): Uint8Array of the whole entry.
+ *      Throws ERR_ZIP_ENTRY_TOO_LARGE_FOR_MEMORY if it cannot
+ *      fit in a Buffer,
+ *    openReadStream(cdir, {password}): Readable over the
+ *      entry, for entries too large to hold in memory.
+ *      Methods other than STORE, DEFLATE and ZSTD are
+ *      buffered, and throw ERR_ZIP_ENTRY_TOO_LARGE_FOR_MEMORY
+ *      over 1 GiB,
+ *    extractAll(destDir, {
+ *      password,
+ *      include, exclude: RegExp on the filename or
+ *        function(cdir), or an array of those,
+ *      exists: 'error' (default), 'skip' or 'overwrite',
+ *      permissions: restore UNIX permission bits (true),
+ *      specialBits: restore the setuid, setgid and sticky
+ *        bits as well (false),
+ *      symlinks: restore UNIX symlinks (true),
+ *      unsafeSymlinks: restore symlinks pointing outside
+ *        destDir as well (false),
+ *      mtimes: restore modification times (true)
+ *    }): { extracted: [paths], skipped: [filenames] },
+ *      rejects entries escaping destDir,
+ *    verify({password, data}): integrity report, checking
+ *      every entry like 'unzip -t' instead of throwing on
+ *      the first problem. 'data: false' skips extracting
+ *      the entries:
+ *      {
+ *        ok: no problems at all,
+ *        entries: [{cdir, filename, start, end, problems}],
+ *          'start' and 'end' being the bytes the LOC, data
+ *          and data descriptor occupy,
+ *        problems: archive-wide problems
+ *      }
+ *      where problems are {type, ...}, by type:
+ *        'signature', 'bounds', 'data': {message},
+ *        'crc': {message}, CRC-32 of the data,
+ *        'loc_mismatch', 'descriptor_mismatch',
+ *        'eocd_mismatch': {field, expected, actual},
+ *          'expected' being the CDIR value, or the EOCD
+ *          value for 'eocd_mismatch',
+ *        'overlap': {filename}, the entry overlapped, null
+ *          for the central directory,
+ *        'gap': {start, end} between two entries,
+ *        'unreferenced': {start, end} elsewhere,
+ *    apkSigningBlock({verify}): the APK Signing Block
+ *      before the central directory, null if there is none:
+ *      {
+ *        start, size: where it lies in the archive,
+ *        pairs: [{id, name, raw}], its ID-value pairs, name
+ *          being e.g. 'v2', 'v3', 'padding', null if unknown,
+ *        v2, v3, v31: signers of the v2, v3 and v3.1 schemes,
+ *          null if the scheme is absent: [{
+ *            digests: [{algorithm, name, digest}],
+ *            signatures: [{algorithm, name, signature}],
+ *            certificates: [{raw, subject, issuer,
+ *              serialNumber, fingerprint256, validFrom,
+ *              validTo, publicKey}], X.509, DER encoded,
+ *            publicKey: SubjectPublicKeyInfo, DER encoded,
+ *            attributes: [{id, raw}],
+ *            signedData: the bytes the signatures cover,
+ *            minSdk, maxSdk, signedMinSdk, signedMaxSdk: v3
+ *              and v3.1 only
+ *          }],
+ *        ok: 'verify: true' only, there are signers and
+ *          none of them has problems
+ *      }
+ *      where 'algorithm' is the scheme's signature algorithm
+ *      ID (e.g. 0x0103) and 'name' its name. 'verify: true'
+ *      checks the signatures and the content digests over
+ *      the entries, central directory and EOCD, adding to
+ *      every signer problems: [{type, ...}], by type:
+ *        'signature': {algorithm, message},
+ *        'digest': {algorithm, expected, actual},
+ *        'public_key', 'certificate', 'digest_list', 'sdk',
+ *        'unsupported': {message},
+ *    jarManifest(): META-INF/MANIFEST.MF, null if there is
+ *      none:
+ *      {
+ *        raw: Uint8Array of the manifest,
+ *        main: {attributes, raw}, the main section,
+ *        entries: [{name, attributes, digests, raw}],
+ *        signatures: [{
+ *          file: e.g. 'META-INF/CERT.SF',
+ *          block: e.g. 'META-INF/CERT.RSA', null if missing,
+ *          attributes, digests: of the whole manifest,
+ *          mainDigests: of its main section,
+ *          entries: [{name, digests}]
+ *        }]
+ *      }
+ *      where digests are [{algorithm, digest}], e.g.
+ *      {algorithm: 'SHA-256', digest: <base64>}, and 'raw'
+ *      the bytes of a section,
+ *    verifyJar(): checks the entries against the manifest
+ *      digests, and the manifest against the signature
+ *      files. The signature blocks themselves (PKCS #7) are
+ *      not checked. Throws ERR_ZIP_NOT_FOUND if there is no
+ *      manifest:
+ *      {
+ *        ok,
+ *        entries: [{name, cdir, problems}],
+ *        signatures: [{file, block, problems}]
+ *      }
+ *      where problems are {type, ...}, by type:
+ *        'digest': {name, algorithm, expected, actual},
+ *          name being null for the main section,
+ *        'unsupported': {algorithm},
+ *        'missing', 'data': {message}, listed but not in
+ *          the archive, or unreadable,
+ *        'unlisted': {message}, in a signed jar, an entry
+ *          no signature file covers,
+ *        'no_block': {message}
+ *    close()
+ *  }
+ */
+exports.zipEOCD = (src = '', opts = {}) => {
+  let raw = bytesource(src);
+  let zip;
+  try {
+    zip = run_sync(zipload(raw, opts));
+  } catch (err) {
+    raw.close();
+    throw err;
+  }
+  let {eocd, cdirList, prefix} = zip;
+  let sb = prefixsource(raw, prefix);
+  let index = zipindex(cdirList);
+
+  return {
+    eocd,
+    cdirList,
+    prefix,
+    readPrefix: () => run_sync(readprefix(raw, prefix)),
+    getEntry: index.get,
+    find: index.find,
+    readdir: index.readdir,
+    tree: index.tree,
+    unzip: (cdir, entryOpts) => run_sync(readentry(sb, cdir, {...opts, ...entryOpts})),
+    openReadStream: (cdir, entryOpts) => run_sync(openentry(sb, cdir, {...opts, ...entryOpts})),
+    extractAll: (destDir, options) => run_sync(extractall(sb, cdirList, destDir, options, opts)),
+    verify: (verifyOpts) => run_sync(verifyzip(sb, zip, {...opts, ...verifyOpts})),
+    apkSigningBlock: (apkOpts) => run_sync(apksigning(sb, eocd, apkOpts)),
+    jarManifest: () => run_sync(jarmanifest(sb, index, opts)),
+    verifyJar: () => run_sync(verifyjar(sb, cdirList, index, opts)),
+    close: () => sb.close()
+  };
+};
+
+/**
+ * Asynchronous twin of zipEOCD(), reading through
+ * fs.promises file handles so the event loop is never
+ * blocked on file I/O.
+ *
+ * @param src Same as zipEOCD(). Readers passed in may
+ *  return Promises from head() and tail().
+ * @param opts Same as zipEOCD().
+ *
+ * @returns Promise of the same object as zipEOCD(), where
+ *  unzip(), openReadStream(), extractAll(), verify() and
+ *  close() return Promises, as do readPrefix(),
+ *  apkSigningBlock(), jarManifest() and verifyJar(). Unlike
+ *  zipEOCD(), extractAll() streams entries to disk, for
+ *  entries too large to hold in memory. getEntry(), find(),
+ *  readdir() and tree() stay synchronous.
+ */
+exports.zipEOCD.open = async (src = '', opts = {}) => {
+  let raw = await bytesourceAsync(src);
+  let zip;
+  try {
+    zip = await run_async(zipload(raw, opts));
+  } catch (err) {
+    await raw.close();
+    throw err;
+  }
+  let {eocd, cdirList, prefix} = zip;
+  let sb = prefixsource(raw, prefix);
+  let index = zipindex(cdirList);
+
+  return {
+    eocd,
+    cdirList,
+    prefix,
+    readPrefix: () => run_async(readprefix(raw, prefix)),
+    getEntry: index.get,
+    find: index.find,
+    readdir: index.readdir,
+    tree: index.tree,
+    unzip: (cdir, entryOpts) => run_async(readentry(sb, cdir, {...opts, ...entryOpts})),
+    openReadStream: (cdir, entryOpts) => run_async(openentry(sb, cdir, {...opts, ...entryOpts})),
+    extractAll: (destDir, options) => run_async(extractall(sb, cdirList, destDir, options, opts, true)),
+    verify: (verifyOpts) => run_async(verifyzip(sb, zip, {...opts, ...verifyOpts})),
+    apkSigningBlock: (apkOpts) => run_async(apksigning(sb, eocd, apkOpts)),
+    jarManifest: () => run_async(jarmanifest(sb, index, opts)),
+    verifyJar: () => run_async(verifyjar(sb, cdirList, index, opts)),
+    close: () => sb.close()
+  };
+};
+
+/**
+ * Iterate over the central directory records of an archive
+ * one at a time, without holding them all in memory, for
+ * archives with millions of entries. The source is closed
+ * once iteration ends.
+ *
+ * @param src Same as zipEOCD.open().
+ * @param opts Same as zipEOCD(), but for 'recover'. Of the
+ *  limits, those on the overlap and total size of entries
+ *  are not checked, as they need every record.
+ *
+ * @returns Async iterator of CDIR records, as in the
+ *  cdirList of zipEOCD(), in central directory order.
+ */
+exports.zipEOCD.entries = async function* (src = '', opts = {}) {
+  let raw = await bytesourceAsync(src);
+  try {
+    let {eocd, prefix} = await run_async(zipeocd(raw, opts));
+    if (opts.limits) {
+      assert_cd_limits(eocd, opts.limits);
+    }
+
+    let cd = cdreader(prefixsource(raw, prefix), eocd, opts);
+    let count = 0n;
+    for (let cdir = await run_async(cd.next()); cdir !== null; cdir = await run_async(cd.next())) {
+      count++;
+      yield cdir;
+    }
+
+    if (count !== bint(eocd.num_entries_cd) && !opts.lenient) {
+      throw new Error(`Expected ${bint(eocd.num_entries_cd)} CDIR records, got ${count}`);
+    }
+  } finally {
+    await raw.close();
+  }
+};
+
+/**
+ * Modify a zip file in place. New entries are written over
+ * the old central directory, removed entries are only
+ * dropped from the central directory, and commit() updates
+ * the local headers of renamed entries, then rewrites the
+ * central directory and EOCD after the last local entry
+ * (upgrading to ZIP64 when needed). Entries only move if a
+ * rename changes the length of their local header.
+ *
+ * Once append() has been called the file is only a valid
+ * archive again after commit(). Other edits are not written
+ * before commit().
+ *
+ * @param opts Same as zipEOCD().
+ *
+ * @returns Returns the following object:
+ *  {
+ *    eocd, cdirList: as zipEOCD(), reflecting the edits,
+ *    unzip(cdir), openReadStream(cdir): as zipEOCD(),
+ *    append(filename, data, opts): as zipWriter().add(),
+ *    remove(entry),
+ *    rename(entry, filename): on commit(), the LOC name is
+ *      patched in place if the new name has the same length
+ *      in bytes, otherwise the entry is copied (still
+ *      compressed) to the end of the local entries,
+ *    setComment(comment): archive comment,
+ *    setEntryComment(entry, comment),
+ *    commit(),
+ *    close(): uncommitted edits are lost
+ *  }
+ *  where 'entry' is a CDIR record or its filename.
+ */
+exports.zipEOCD.edit = (zipFile = '', opts = {}) => {
+  let fd = fs.openSync(path.resolve(zipFile), 'r+', 0o666);
+  let sb = randomAccessFd(fd);
+  let eocd, entries;
+  try {
+    let zip = run_sync(zipopen(sb, opts));
+    eocd = zip.eocd;
+    if (bint(eocd.num_disk) !== 0n || bint(eocd.num_disk_cd) !== 0n) {
+      throw new Error('Multi-disk archives cannot be edited');
+    }
+    if (zip.prefix > 0n) {
+      throw new Error('Archives with prepended data cannot be edited');
+    }
+
+    entries = run_sync(readcd(sb, eocd, opts));
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+  }
+
+  // end of the last local entry, where the next one goes
+  let offset = bint(eocd.off_disk_cd);
+  let comment = eocd.comment;
+
+  const out = {
+    write: (buf) => {
+      let off = 0;
+      while (off < buf.byteLength) {
+        off += fs.writeSync(fd, buf, off, buf.byteLength - off, num32b(offset) + off);
+      }
+
+      offset += bint(buf.byteLength);
+      // file size changed
+      sb = randomAccessFd(fd);
+    },
+    tell: () => offset
+  };
+
+  const lookup = (entry) => {
+    let found = entries.find((e) => e.cdir === entry || e.cdir.filename === entry);
+    if (!found) {
+      throw new Error(`Entry not found: ${entry.filename || entry}`);
+    }
+
+    return found;
+  };
+
+  // extra fields without those of header ID 'id'
+  const dropext = (buf_ext, id) => {
+    let exts = [];
+    for (let off = 0; off + 4 <= buf_ext.length;) {
+      let end = off + 4 + lget16(buf_ext, off+2);
+      if (lget16(buf_ext, off) !== id) {
+        exts.push(buf_ext.subarray(off, end));
+      }
+      off = end;
+    }
+    return new Uint8Array(Buffer.concat(exts));
+  };
+
+  const hasext = (buf_ext, id) => dropext(buf_ext, id).length !== buf_ext.length;
+
+  const setext = (e, buf_ext) => {
+    e.buf_ext = buf_ext;
+    e.cdir.len_ext = buf_ext.length;
+    e.cdir.sz_cdir = 46 + e.cdir.len_filename + e.cdir.len_ext + e.cdir.len_comment;
+  };
+
+  const setname = (e, filename, buf_filename) => {
+    e.buf_filename = buf_filename;
+    e.cdir.filename = filename;
+    e.cdir.filename_raw = buf_filename;
+    e.cdir.len_filename = buf_filename.length;
+    e.cdir.sz_cdir = 46 + e.cdir.len_filename + e.cdir.len_ext + e.cdir.len_comment;
+    e.isLocStale = true;
+  };
+
+  const setcomment = (e, comment, buf_comment) => {
+    e.buf_comment = buf_comment;
+    e.cdir.comment = comment;
+    e.cdir.comment_raw = buf_comment;
+    e.cdir.len_comment = buf_comment.length;
+    e.cdir.sz_cdir = 46 + e.cdir.len_filename + e.cdir.len_ext + e.cdir.len_comment;
+  };
+
+  /*
+   * Set the UTF-8 flag (general purpose bit 11) of an entry,
+   * in its LOC as well on commit(). A name or comment in
+   * another encoding is re-encoded to UTF-8 first, so that
+   * it keeps reading the same, dropping the Unicode extra
+   * field which stood for it.
+   */
+  const setutf8 = (e) => {
+    if (getbit(e.cdir.flg_gen, 11) === 1) {
+      return;
+    }
+
+    const isascii_raw = (buf) => buf.every((byte) => byte < 0x80);
+    if (!isascii_raw(e.buf_filename)) {
+      setext(e, dropext(e.buf_ext, EXTSIG_UNICODE_PATH));
+      setname(e, e.cdir.filename, str_to_uint8arr(e.cdir.filename));
+    }
+    if (!isascii_raw(e.buf_comment)) {
+      setext(e, dropext(e.buf_ext, EXTSIG_UNICODE_COMMENT));
+      setcomment(e, e.cdir.comment, str_to_uint8arr(e.cdir.comment));
+    }
+
+    e.cdir.flg_gen |= 1 << 11;
+    e.isLocStale = true;
+  };
+
+  /*
+   * Copy an entry's new LOC and its data, plus data
+   * descriptor if any, to the end of the local entries and
+   * point its CDIR record there.
+   */
+  const relocate = (e, buf_newloc, loc) => {
+    let sz_data = e.cdir.sz_compress;
+    let data_off = e.cdir.off_loc + bint(loc.sz_loc);
+    if (getbit(loc.flg_gen, 3) === 1) {
+      let desc = run_sync(getdesc(sb, e.cdir, loc, data_off));
+      if (desc === null) {
+        throw new Error('Data descriptor out of bounds');
+      }
+      sz_data += bint(desc.sz_desc);
+    }
+
+    let off_loc = out.tell();
+    out.write(buf_newloc);
+
+    let buf_2mb = getbuf(num32b(BInt_min(sz_data, bint(SZ_MB_2))));
+    for (let off = 0n; off < sz_data;) {
+      let len = sb.head(buf_2mb, data_off + off, num32b(BInt_min(sz_data - off, bint(buf_2mb.byteLength))));
+      if (len <= 0) {
+        throw new Error("EOF");
+      }
+
+      out.write(buf_2mb.subarray(0, len));
+      off += bint(len);
+    }
+
+    /*
+     * Rebuild the ZIP64 extended information of the CDIR
+     * record, the new offset may need (or no longer need)
+     * one.
+     */
+    e.cdir.off_loc = off_loc;
+    e.hdr.off_loc = off_loc >= V_32BIT_MAX_BINT ? V_32BIT_MAX_BINT : off_loc;
+    let vals = ['sz_uncompress', 'sz_compress', 'off_loc']
+      .filter((field) => e.hdr[field] === V_32BIT_MAX_BINT)
+      .map((field) => e.cdir[field]);
+
+    let exts = [dropext(e.buf_ext, EXTSIG_ZIP64)];
+    if (vals.length > 0) {
+      exts.push(ZIP64_ext_bytes(vals));
+      e.cdir.ver_ext = Math.max(e.cdir.ver_ext, VER_ZIP64);
+    }
+
+    setext(e, new Uint8Array(Buffer.concat(exts)));
+  };
+
+  /*
+   * Bring the LOC of an entry in line with its CDIR record:
+   * name, UTF-8 flag and the Unicode Path extra field, which
+   * it only keeps if the CDIR record does. Patched in place
+   * if its length is unchanged, otherwise relocated.
+   */
+  const writeloc = (e) => {
+    let buf_hdr = getbuf(30);
+    if (sb.head(buf_hdr, e.cdir.off_loc, 30) !== 30 || lget32(buf_hdr, 0) !== SIG_LOC) {
+      throw new Error('invalid local header signature');
+    }
+
+    let buf_loc = getbuf(30 + lget16(buf_hdr, 26) + lget16(buf_hdr, 28));
+    if (sb.head(buf_loc, e.cdir.off_loc, buf_loc.byteLength) !== buf_loc.byteLength) {
+      throw new Error("EOF");
+    }
+
+    let loc = LOC(buf_loc, 0);
+    let buf_ext = buf_loc.subarray(30 + loc.len_filename, loc.sz_loc);
+    if (!hasext(e.buf_ext, EXTSIG_UNICODE_PATH)) {
+      buf_ext = dropext(buf_ext, EXTSIG_UNICODE_PATH);
+    }
+
+    let buf_newloc = getbuf(30 + e.buf_filename.length + buf_ext.length);
+    buf_newloc.set(buf_hdr);
+    lput16(buf_newloc, 6, (loc.flg_gen & ~(1 << 11)) | (e.cdir.flg_gen & (1 << 11)));
+    lput16(buf_newloc, 26, e.buf_filename.length);
+    lput16(buf_newloc, 28, buf_ext.length);
+    buf_newloc.set(e.buf_filename, 30);
+    buf_newloc.set(buf_ext, 30 + e.buf_filename.length);
+
+    if (buf_newloc.byteLength === loc.sz_loc) {
+      fs.writeSync(fd, buf_newloc, 0, buf_newloc.byteLength, num32b(e.cdir.off_loc));
+    } else {
+      relocate(e, buf_newloc, loc);
+    }
+  };
+
+  return {
+    get eocd() {
+      return eocd;
+    },
+    get cdirList() {
+      return entries.map((e) => e.cdir);
+    },
+    unzip: (cdir, entryOpts) => run_sync(readentry(sb, cdir, {...opts, ...entryOpts})),
+    openReadStream: (cdir, entryOpts) => run_sync(openentry(sb, cdir, {...opts, ...entryOpts})),
+    append: (filename, data = '', entryOpts = {}) => {
+      let entry = writeentry(out, filename, data, entryOpts, {});
+      entries.push(entry);
+      return entry.cdir;
+    },
+    remove: (entry) => {
+      entries.splice(entries.indexOf(lookup(entry)), 1);
+    },
+    rename: (entry, filename) => {
+      let e = lookup(entry);
+      if (!isascii(filename)) {
+        setutf8(e);
+      }
+      // the Unicode Path extra field is of the old name
+      setext(e, dropext(e.buf_ext, EXTSIG_UNICODE_PATH));
+      setname(e, filename, str_to_uint8arr(filename));
+    },
+    setComment: (_comment) => {
+      comment = _comment;
+    },
+    setEntryComment: (entry, _comment) => {
+      let e = lookup(entry);
+      if (!isascii(_comment)) {
+        setutf8(e);
+      }
+      setext(e, dropext(e.buf_ext, EXTSIG_UNICODE_COMMENT));
+      setcomment(e, _comment, str_to_uint8arr(_comment));
+    },
+    commit: () => {
+      for (let e of entries) {
+        if (e.isLocStale) {
+          writeloc(e);
+          e.isLocStale = false;
+        }
+      }
 
-  // 1)
-  let buf_entry = getbuf(SZ_LOC_MAX + num32b(cdir.sz_compress));
-  let len = sb.head(buf_entry, cdir.off_loc, buf_entry.byteLength);
-  if (len === -1) {
-    throw new Error('Could not read entry');
-  }
+      let off_disk_cd = offset;
+      eocd = writecd(out, entries, comment, {});
+      fs.ftruncateSync(fd, num32b(offset));
+      sb = randomAccessFd(fd);
 
-  // 2)
-  let loc = LOC(buf_entry, 0);
-  if (loc.sig !== SIG_LOC) {
-    throw new Error('invalid local header signature');
+      // next append() overwrites the central directory again
+      offset = off_disk_cd;
+    },
+    close: () => {
+      fs.closeSync(fd);
+    }
+  };
+};
+
+/*
+ * Write one entry (LOC, data, optional DESC) to 'out' at its
+ * current offset. 'out' is {write(buf), tell()}, where tell()
+ * returns the current offset as a BigInt.
+ *
+ * Returns the entry's CDIR record along with what's needed
+ * to serialize it later: the raw 32-bit header fields (hdr)
+ * and the variable-length fields.
+ */
+function writeentry(out, filename, data, entryOpts, opts) {
+  if (typeof data === 'string') {
+    data = str_to_uint8arr(data);
   }
 
-  // 3)
-  let buf_data = buf_entry.subarray(
-    loc.sz_loc,
-    loc.sz_loc + num32b(loc.sz_compress));
+  let isDir = filename.endsWith('/');
+  let comment = entryOpts.comment || '';
+  let method = entryOpts.method !== undefined
+    ? entryOpts.method
+    : (isDir ? C_STORE : C_DEFLATE);
 
-  // 4)
-  switch (cdir.compression) {
+  let buf_data;
+  switch (method) {
     case C_STORE:
-    {
-      assert_crc32(buf_data, loc.crc_32);
-      return buf_data;
-    }
+      buf_data = data;
+      break;
 
     case C_DEFLATE:
-    {
-      let crc_32 = loc.crc_32;
-      let sz_uncompress = loc.sz_uncompress;
-
-      // check for data descriptor
-      if (buf_data.length === 0
-        && getbit(loc.flg_gen, 3) === 1
-        && loc.sz_compress === 0n
-        && loc.sz_uncompress === 0n
-        && crc_32 === 0) {
-        let desc = getdesc(sb, cdir,
-          // offset to file data
-          cdir.off_loc+bint(loc.sz_loc)
-        );
-
-        buf_data = buf_entry.subarray(
-          loc.sz_loc,
-          loc.sz_loc + num32b(desc.sz_compress));
-
-        crc_32 = desc.crc_32;
-        sz_uncompress = desc.sz_uncompress;
-      }
-
-      let buf_inflate = zlib.inflateRawSync(buf_data);
-      assert_crc32(buf_inflate, crc_32);
-      return buf_inflate;
-    }
-
-    case C_SHRUNK:
-    case C_REDUCED_CFACTOR_1:
-    case C_REDUCED_CFACTOR_2:
-    case C_REDUCED_CFACTOR_3:
-    case C_REDUCED_CFACTOR_4:
-    case C_IMPLODED:
-    case C_DEFLATE_64:
-    case C_BZIP2:
-    case C_LZMA:
-    case C_IBM_TERSE:
-    case C_IBM_LZ77_z:
-    case C_ZSTD:
-    case C_MP3:
-    case C_XZ:
-    case C_JPEG:
-    case C_WAVPACK:
-    case C_PPMD_v1:
-    case C_AE_X:
+      buf_data = zlib.deflateRawSync(data, {level: entryOpts.level});
+      break;
+
     default:
       throw new Error('Invalid compression method');
   }
+
+  let {tm, dt} = date_to_dos(entryOpts.mtime || new Date());
+  let mode = isDir ? MODE_DIR : MODE_FILE;
+  if (entryOpts.mode !== undefined) {
+    mode = (mode & ~0o7777) | (entryOpts.mode & 0o7777);
+  }
+  let isDesc = !!entryOpts.descriptor;
+  let crc_32 = CRC32.buf(data);
+  let sz_compress = bint(buf_data.byteLength);
+  let sz_uncompress = bint(data.byteLength);
+  let off_loc = out.tell();
+
+  /*
+   * ZIP64 extended information, see EXTSIG_ZIP64. The LOC
+   * record must hold both sizes, the CDIR record only
+   * the fields which overflow.
+   */
+  const overflows = (val) => !!opts.zip64 || val >= V_32BIT_MAX_BINT;
+  let isZip64 = overflows(sz_compress) || overflows(sz_uncompress);
+  let hdr = {
+    sz_uncompress:  overflows(sz_uncompress) ? V_32BIT_MAX_BINT : sz_uncompress,
+    sz_compress:    overflows(sz_compress) ? V_32BIT_MAX_BINT : sz_compress,
+    off_loc:        overflows(off_loc) ? V_32BIT_MAX_BINT : off_loc
+  };
+  let cdir64 = ['sz_uncompress', 'sz_compress', 'off_loc']
+    .filter((field) => hdr[field] === V_32BIT_MAX_BINT)
+    .map((field) => ({sz_uncompress, sz_compress, off_loc})[field]);
+
+  let flg_gen = (isDesc ? 1 << 3 : 0)
+    | (isascii(filename) && isascii(comment) ? 0 : 1 << 11);
+  let ver_ext = cdir64.length > 0
+    ? VER_ZIP64
+    : (method === C_DEFLATE || isDir ? VER_DEFLATE : VER_DEFAULT);
+
+  let buf_filename = str_to_uint8arr(filename);
+  let buf_comment = str_to_uint8arr(comment);
+
+  let loc = {
+    ver:            ver_ext,
+    flg_gen,
+    compression:    method,
+    tm_last_mod:    tm,
+    dt_last_mod:    dt,
+    crc_32:         isDesc ? 0 : crc_32,
+    sz_compress:    isZip64 ? V_32BIT_MAX_BINT : (isDesc ? 0n : sz_compress),
+    sz_uncompress:  isZip64 ? V_32BIT_MAX_BINT : (isDesc ? 0n : sz_uncompress)
+  };
+
+  out.write(LOC_bytes(loc, buf_filename, isZip64
+    ? ZIP64_ext_bytes(isDesc ? [0n, 0n] : [sz_uncompress, sz_compress])
+    : getbuf(0)));
+  out.write(buf_data);
+
+  if (isDesc) {
+    out.write(DESC_bytes({crc_32, sz_compress, sz_uncompress}, isZip64));
+  }
+
+  let cdir = {
+    sig:            SIG_CDIR,
+    ver:            VER_MADE_BY,
+    ver_ext,
+    flg_gen,
+    compression:    method,
+    tm_last_mod:    tm,
+    dt_last_mod:    dt,
+    crc_32,
+    sz_compress,
+    sz_uncompress,
+    len_filename:   buf_filename.length,
+    len_ext:        cdir64.length > 0 ? 4 + 8*cdir64.length : 0,
+    len_comment:    buf_comment.length,
+    num_disk:       0,
+    attrs_int:      0,
+    attrs_ext:      (bint(mode) << 16n) | (isDir ? bint(ATTR_DOS_DIR) : 0n),
+    off_loc,
+    sz_cdir:        0,
+    filename,
+    filename_raw:   buf_filename,
+    comment,
+    comment_raw:    buf_comment
+  };
+  cdir.sz_cdir = 46 + cdir.len_filename + cdir.len_ext + cdir.len_comment;
+
+  return {
+    cdir,
+    hdr,
+    buf_filename,
+    buf_ext: cdir64.length > 0 ? ZIP64_ext_bytes(cdir64) : getbuf(0),
+    buf_comment
+  };
+}
+
+/*
+ * Write the central directory for 'entries' (as returned by
+ * writeentry()) followed by the EOCD, preceded by the ZIP64
+ * EOCD record and locator when counts, sizes or offsets
+ * overflow. Returns the EOCD record.
+ */
+function writecd(out, entries, comment, opts) {
+  let off_disk_cd = out.tell();
+  for (let {cdir, hdr, buf_filename, buf_ext, buf_comment} of entries) {
+    out.write(CDIR_bytes({...cdir, ...hdr}, buf_filename, buf_ext, buf_comment));
+  }
+
+  let sz_cd = out.tell() - off_disk_cd;
+  let num_entries_cd = bint(entries.length);
+  let isZip64 = !!opts.zip64
+    || num_entries_cd >= bint(V_16BIT_MAX)
+    || sz_cd >= V_32BIT_MAX_BINT
+    || off_disk_cd >= V_32BIT_MAX_BINT;
+
+  if (isZip64) {
+    let off_eocd_64 = out.tell();
+    out.write(EOCD_64_bytes({
+      ver:                  VER_MADE_BY,
+      ver_ext:              VER_ZIP64,
+      num_disk:             0n,
+      num_disk_cd:          0n,
+      num_disk_entries_cd:  num_entries_cd,
+      num_entries_cd,
+      sz_cd,
+      off_disk_cd
+    }));
+    out.write(EOCD_64_LOC_bytes(off_eocd_64));
+  }
+
+  let num_entries = opts.zip64
+    ? V_16BIT_MAX
+    : num32b(BInt_min(num_entries_cd, bint(V_16BIT_MAX)));
+  let buf_comment = str_to_uint8arr(comment);
+  out.write(EOCD_bytes({
+    num_disk:             0,
+    num_disk_cd:          0,
+    num_disk_entries_cd:  num_entries,
+    num_entries_cd:       num_entries,
+    sz_cd:                opts.zip64 ? V_32BIT_MAX_BINT : BInt_min(sz_cd, V_32BIT_MAX_BINT),
+    off_disk_cd:          opts.zip64 ? V_32BIT_MAX_BINT : BInt_min(off_disk_cd, V_32BIT_MAX_BINT)
+  }, buf_comment));
+
+  return {
+    sig:                  SIG_EOCD,
+    num_disk:             0,
+    num_disk_cd:          0,
+    num_disk_entries_cd:  isZip64 ? num_entries_cd : entries.length,
+    num_entries_cd:       isZip64 ? num_entries_cd : entries.length,
+    sz_cd,
+    off_disk_cd,
+    len_comment:          buf_comment.length,
+    comment,
+    is_zip_64:            isZip64
+  };
 }
 
 /**
+ * Zip archive writer. Entries are written as they are
+ * added, the central directory and EOCD on end(). ZIP64
+ * records are emitted automatically for entries, offsets
+ * or entry counts which do not fit the 32-bit/16-bit
+ * fields.
+ *
+ * @param dest Path of the zip file to create, an open file
+ *  descriptor, an object implementing the writer interface
+ *  (see writableFile), or nothing to build the archive in
+ *  memory.
+ * @param opts {
+ *    comment: archive comment,
+ *    zip64: always emit ZIP64 records
+ *  }
+ *
  * @returns Returns the following object:
  *  {
- *    eocd: {
- *      sig,
- *      num_disk,
- *      num_disk_cd,
- *      num_disk_entries_cd,
- *      num_entries_cd,
- *      sz_cd,
- *      off_disk_cd,
- *      len_comment,
+ *    add(filename, data, {
+ *      method: C_DEFLATE (default) or C_STORE,
+ *      level: zlib compression level,
+ *      mtime: Date, defaults to now,
+ *      mode: UNIX permission bits,
  *      comment,
- *    },
- *    cdirList: [{
- *      sig,
- *      ver,
- *      ver_ext,
- *      flg_gen,
- *      compression,
- *      tm_last_mod,
- *      dt_last_mod,
- *      crc_32,
- *      sz_compress,
- *      sz_uncompress,
- *      len_filename,
- *      len_ext,
- *      len_comment,
- *      num_disk,
- *      attrs_int,
- *      attrs_ext,
- *      off_loc,
- *      sz_cdir,
- *      filename,
- *      comment
- *    }]
+ *      descriptor: write sizes and CRC-32 in a trailing
+ *        data descriptor
+ *    }): CDIR record of the new entry. Names ending in
+ *      '/' are directories,
+ *    end(): write the central directory and EOCD. Returns
+ *      the archive bytes if it was built in memory
  *  }
  */
-exports.zipEOCD = (zipFile = '') => {
-  let sb = randomAccessFile(zipFile);
-  let rb = resizableBuffer();
+exports.zipWriter = (dest, opts = {}) => {
+  let sink = bytesink(dest);
+  let entries = [];
+  let offset = 0n;
+  let isEnded = false;
 
-  let eocd = null;
+  const out = {
+    write: (buf) => {
+      sink.write(buf);
+      offset += bint(buf.byteLength);
+    },
+    tell: () => offset
+  };
 
-  let isFound = false;
-  let buf_64 = getbuf(64);
-  let offset = 0;
-  let isZip64 = false;
-  while (!isFound && offset < SZ_MB_4) {
-    let len = sb.tail(buf_64, offset, buf_64.byteLength);
-    offset += len;
-    if (len === -1) {
-      throw new Error("EOF");
+  return {
+    add: (filename, data = '', entryOpts = {}) => {
+      if (isEnded) {
+        throw new Error('Zip writer already ended');
+      }
+
+      let entry = writeentry(out, filename, data, entryOpts, opts);
+      entries.push(entry);
+      return entry.cdir;
+    },
+    end: () => {
+      if (isEnded) {
+        throw new Error('Zip writer already ended');
+      }
+      isEnded = true;
+
+      writecd(out, entries, opts.comment || '', opts);
+      return sink.close();
     }
+  };
+};
 
-    rb.coalesce_front(buf_64, 0, len);
-    /*
-     * Back-to-Front traversal of buffer so to minimize
-     * minimize potential signature collision with other
-     * parts of zip file data.
-     *
-     *
-     * Starts at the very back of the loop. Set loop
-     * limit as the min(len+4, rb.length), where 'len'
-     * is the number of bytes read in this pass.
-     * rb.length is length of the entire buffer.
-     *
-     * The min() function ensures loop integrity on the
-     * initial pass of the outer loop.
-     *
-     * Reason for len+4 is to check the last bytes of
-     * the current stream against the first bytes of
-     * the previous stream for EOCD signature. This is
-     * patch work in case the signature is split in
-     * the 4-byte window between consecutive streams.
-     *
-     * e.g.
-     *
-     * [0] [1] [2] [3] [4] | [5] [6] [7] [8] [9]
-     *
-     * let indices 0 to 4 be bytes from the
-     * current stream, let indices 5 to 9 be bytes
-     * from the previous stream.
-     *
-     * Then the signature could be in bytes from the
-     * indicies:
-     *   2 3 4 | 5
-     *   3 4 | 5 6
-     *   4 | 5 6 7
-     *
-     * Reason loop variable 'i' is initialized to lim-4
-     * is so the loop always ends on an even iteration,
-     * as the EOCD signature is 4 bytes.
-     *
-     * Note how i is decremented by 1 per loop: a
-     * 2-byte sequence occurs in both even and odd
-     * countings - we have to check for both.
-     */
-    let lim = Math.min(len+4, rb.length());
-    for (let i=lim-4; i>=0; --i) {
-      let bit32 = rb.lget32(i);
-      if (isZip64) {
-        if (bit32 === SIG_EOCD_64) {
-          let newLen = rb.length() - i;
-          rb.resize(newLen, i, 0, newLen);
-          offset = rb.length();
-
-          eocd = EOCD_64(rb.getBuffer(), 0, eocd);
-          isFound = true;
-          break;
-        }
-      } else if (bit32 === SIG_EOCD) {
-        let newLen = rb.length() - i;
-        rb.resize(newLen, i, 0, newLen);
-        offset = rb.length();
+/*
+ * Least recently used cache of inflated entries, holding
+ * at most 'maxSize' bytes. Entries larger than that are
+ * never cached.
+ */
+function lrucache(maxSize) {
+  let entries = new Map();
+  let size = 0;
 
-        eocd = EOCD(rb.getBuffer(), 0);
-        isZip64 = eocd.is_zip_64;
-        if (!isZip64) {
-          isFound = true;
-        }
+  return {
+    get: (key) => {
+      let value = entries.get(key);
+      if (value !== undefined) {
+        entries.delete(key);
+        entries.set(key, value);
+      }
+      return value;
+    },
+    set: (key, value) => {
+      if (value.byteLength > maxSize) {
+        return;
+      }
 
-        break;
+      if (entries.has(key)) {
+        size -= entries.get(key).byteLength;
+        entries.delete(key);
+      }
+      entries.set(key, value);
+      size += value.byteLength;
+
+      for (let [oldKey, oldValue] of entries) {
+        if (size <= maxSize) {
+          break;
+        }
+        entries.delete(oldKey);
+        size -= oldValue.byteLength;
       }
+    },
+    clear: () => {
+      entries.clear();
+      size = 0;
     }
+  };
+}
 
-    // prevent out-of-memory
-    rb.ensureSize(buf_64.byteLength);
-  }
+const FS_ERRORS = {
+  ENOENT: 'no such file or directory',
+  ENOTDIR: 'not a directory',
+  EISDIR: 'illegal operation on a directory'
+};
 
-  if (!isFound || eocd === null) {
-    throw new Error("EOCD Not Found");
+function fs_error(code, syscall, filepath) {
+  let err = new Error(`${code}: ${FS_ERRORS[code]}, ${syscall} '${filepath}'`);
+  err.code = code;
+  err.syscall = syscall;
+  err.path = filepath;
+  return err;
+}
+
+// archive path of an fs path: '/' or '\\' separated,
+// relative to the root of the archive, never above it
+function fspath(filepath) {
+  return entrypath(path.posix.normalize('/' + String(filepath).replace(/\\/g, '/')));
+}
+
+/*
+ * fs.Stats look-alike of an index node:
+ *  - size: sz_uncompress, 0 for directories
+ *  - mode: from attrs_ext, the UNIX mode for archives made
+ *    on UNIX, otherwise MODE_FILE or MODE_DIR, without
+ *    write permissions for read-only (MS-DOS) entries
+ *  - mtime: from the DOS fields, or the extra field with
+ *    the more precise times, see CDIR(). Directories with
+ *    no record of their own have the epoch
+ */
+function zipstat(node) {
+  let cdir = node.cdir;
+  let mode = node.isDir ? MODE_DIR : MODE_FILE;
+  if (cdir !== null) {
+    let host = cdir.ver >> 8;
+    let unixMode = host === HOST_UNIX || host === HOST_OSX
+      ? num32b(cdir.attrs_ext >> 16n) & 0xffff
+      : 0;
+
+    if ((unixMode & S_IFMT) !== 0) {
+      mode = unixMode;
+    } else if (unixMode !== 0) {
+      mode = (mode & S_IFMT) | unixMode;
+    } else if ((bint(cdir.attrs_ext) & 1n) === 1n) {
+      mode &= ~0o222;
+    }
   }
 
-  let cdirList = [];
-  /*
-   * Read all Central Directory Headers (ZIP/64)
-   * (1) Locate start of Central Directory from EOCD
-   *     off_disk_cd field
-   * (2) Read backwards - from end of Central Directory
-   *     to the beginning. Check bounds constantly
-   *     to avoid EOF and spilling into file data
-   *     section.
-   * (3) For each CDIR discovered, read and add to
-   *     list. After reading each CDIR, skip over
-   *     read bytes to avoid signature collision.
-   */
-  const cdStartOff = eocd.off_disk_cd;
-  const cdEndOff = eocd.off_disk_cd + eocd.sz_cd;
-  offset = cdEndOff;
-  let buf_2mb = getbuf(SZ_MB_2);
-  while (offset > cdStartOff) {
-    let bytesLeft = offset - cdStartOff;
-    let readsz = num32b(BInt_min(bytesLeft, bint(buf_2mb.byteLength)));
-    let head_offset = num32b(offset - bint(readsz));
-    let len = sb.head(buf_2mb, head_offset, readsz);
+  let mtime = cdir !== null ? cdir.mtime : new Date(0);
+  let atime = (cdir !== null && cdir.atime) || mtime;
+  let ctime = (cdir !== null && cdir.ctime) || mtime;
+  let size = node.isDir || cdir === null ? 0 : num32b(cdir.sz_uncompress);
+  const istype = (type) => () => (mode & S_IFMT) === type;
+
+  return {
+    dev: 0,
+    ino: 0,
+    mode,
+    nlink: 1,
+    uid: 0,
+    gid: 0,
+    rdev: 0,
+    size,
+    blksize: 4096,
+    blocks: Math.ceil(size / 512),
+    atimeMs: atime.getTime(),
+    mtimeMs: mtime.getTime(),
+    ctimeMs: ctime.getTime(),
+    birthtimeMs: ctime.getTime(),
+    atime,
+    mtime,
+    ctime,
+    birthtime: ctime,
+    isFile: istype(S_IFREG),
+    isDirectory: istype(S_IFDIR),
+    isSymbolicLink: istype(S_IFLNK),
+    isBlockDevice: () => false,
+    isCharacterDevice: () => false,
+    isFIFO: () => false,
+    isSocket: () => false
+  };
+}
+
+// bytes [start, end] of a stream, 'end' included as with
+// fs.createReadStream()
+function slice_stream(start, end) {
+  let pos = 0;
+  return new stream.Transform({
+    transform(chunk, encoding, cb) {
+      let from = Math.max(start - pos, 0);
+      let to = Math.min(end + 1 - pos, chunk.length);
+      pos += chunk.length;
+      cb(null, from < to ? chunk.subarray(from, to) : null);
+    }
+  });
+}
+
+/**
+ * Read-only file system over an archive, for code written
+ * against 'fs': paths are '/' separated and relative to the
+ * root of the archive (a leading '/' is ignored), errors
+ * carry the fs codes ENOENT, ENOTDIR and EISDIR.
+ *
+ * The callback and Promise versions only defer the result,
+ * the archive is read synchronously with zipEOCD().
+ *
+ * @param src Same as zipEOCD().
+ * @param opts Same as zipEOCD(), and {
+ *    cacheSize: bytes of inflated entries kept in memory,
+ *      least recently used first out. Defaults to 32 MB,
+ *      0 turns the cache off
+ *  }
+ *
+ * @returns Returns the following object:
+ *  {
+ *    readFileSync(path, {encoding} | encoding): Buffer, or
+ *      string with an encoding,
+ *    readdirSync(path, {withFileTypes}): names of the
+ *      entries under 'path', or fs.Dirent look-alikes,
+ *    statSync(path, {throwIfNoEntry}), lstatSync(): fs.Stats
+ *      look-alike, 'size' being sz_uncompress, 'mode' from
+ *      attrs_ext and 'mtime' from the DOS date and time, or
+ *      the more precise extra field times if there are any.
+ *      Symbolic links are not followed,
+ *    existsSync(path),
+ *    createReadStream(path, {start, end, encoding}):
+ *      Readable over the entry, streamed from the archive
+ *      if it is too large for the cache,
+ *    readFile(), readdir(), stat(), lstat(): taking a
+ *      callback(err, result),
+ *    promises: {readFile, readdir, stat, lstat},
+ *    zip: the zipEOCD() object underneath,
+ *    close()
+ *  }
+ */
+exports.zipFs = (src = '', opts = {}) => {
+  let {cacheSize = 32 * 1024 * 1024} = opts;
+  let zip = exports.zipEOCD(src, opts);
+  let index = zipindex(zip.cdirList);
+  let cache = lrucache(cacheSize);
 
-    offset -= bint(len);
-    if (len === -1) {
-      throw new Error("EOF")
+  const lookup = (filepath, syscall) => {
+    let node = index.node(fspath(filepath));
+    if (node === null) {
+      throw fs_error('ENOENT', syscall, filepath);
     }
+    return node;
+  };
 
-    rb.coalesce_front(buf_2mb, 0, len);
-    let lim = Math.min(len+4, rb.length());
-    for (let i=0; (i+4)<lim; ++i) {
-      let bit32 = rb.lget32(i);
-      if (bit32 === SIG_CDIR) {
-        try {
-          let cdir = CDIR(rb.getBuffer(), i);
-          cdirList.unshift(cdir);
+  const readfile = (node) => {
+    let data = cache.get(node.cdir);
+    if (data === undefined) {
+      data = zip.unzip(node.cdir);
+      cache.set(node.cdir, data);
+    }
+    return data;
+  };
 
-          // Skip over read bytes, "-1" accounts for loop increment
-          i += (cdir.sz_cdir - 1);
-        } catch (err) {
-          // swallow
-          console.error(err);
-        }
+  const readFileSync = (filepath, options = {}) => {
+    let {encoding = null} = typeof options === 'string' ? {encoding: options} : (options || {});
+    let node = lookup(filepath, 'open');
+    if (node.isDir) {
+      throw fs_error('EISDIR', 'read', filepath);
+    }
+
+    let buf = Buffer.from(readfile(node));
+    return encoding ? buf.toString(encoding) : buf;
+  };
+
+  const readdirSync = (filepath, options = {}) => {
+    let {withFileTypes = false} = typeof options === 'string' ? {} : (options || {});
+    let node = lookup(filepath, 'scandir');
+    if (!node.isDir) {
+      throw fs_error('ENOTDIR', 'scandir', filepath);
+    }
+
+    if (!withFileTypes) {
+      return node.children.map((child) => child.name);
+    }
+    return node.children.map((child) => {
+      let stat = zipstat(child);
+      return {
+        name: child.name,
+        parentPath: node.path,
+        isFile: stat.isFile,
+        isDirectory: stat.isDirectory,
+        isSymbolicLink: stat.isSymbolicLink,
+        isBlockDevice: stat.isBlockDevice,
+        isCharacterDevice: stat.isCharacterDevice,
+        isFIFO: stat.isFIFO,
+        isSocket: stat.isSocket
+      };
+    });
+  };
+
+  const statSync = (filepath, options = {}) => {
+    let {throwIfNoEntry = true} = options || {};
+    let node = index.node(fspath(filepath));
+    if (node === null) {
+      if (!throwIfNoEntry) {
+        return undefined;
       }
+      throw fs_error('ENOENT', 'stat', filepath);
     }
+    return zipstat(node);
+  };
 
-    /*
-     * Ensures buffer does not exceed a size of
-     * 2 * buffer.length. This prevents out-of
-     * -memory, while ensuring our patch-up logic
-     * between different reads (see above comments)
-     * is accounted for.
-     */
-    rb.ensureSize(buf_2mb.byteLength);
-  }
+  const existsSync = (filepath) => index.node(fspath(filepath)) !== null;
 
-  // final sanity check
-  let expected = bint(eocd.num_entries_cd);
-  let actual = bint(cdirList.length);
-  if (expected !== actual) {
-    throw new Error(`Expected ${expected} CDIR records, got ${actual}`);
-  }
+  const createReadStream = (filepath, options = {}) => {
+    let {
+      start = 0,
+      end = Infinity,
+      encoding = null
+    } = typeof options === 'string' ? {encoding: options} : (options || {});
+    let out = new stream.PassThrough();
+    if (encoding) {
+      out.setEncoding(encoding);
+    }
+
+    // errors surface on the stream, as with fs
+    try {
+      let node = lookup(filepath, 'open');
+      if (node.isDir) {
+        throw fs_error('EISDIR', 'read', filepath);
+      }
+
+      let src = node.cdir.sz_uncompress <= bint(cacheSize)
+        ? stream.Readable.from([Buffer.from(readfile(node))])
+        : zip.openReadStream(node.cdir);
+      stream.pipeline(src, slice_stream(start, end), out, () => {});
+    } catch (err) {
+      process.nextTick(() => out.destroy(err));
+    }
+
+    return out;
+  };
+
+  const callback = (fn) => (...args) => {
+    let cb = args.pop();
+    let result;
+    try {
+      result = fn(...args);
+    } catch (err) {
+      process.nextTick(() => cb(err));
+      return;
+    }
+    process.nextTick(() => cb(null, result));
+  };
+
+  const promise = (fn) => async (...args) => fn(...args);
 
   return {
-    eocd,
-    cdirList,
-    unzip: (cdir) => readentry(sb, cdir),
-    close: () => sb.close()
+    readFileSync,
+    readdirSync,
+    statSync,
+    lstatSync: statSync,
+    existsSync,
+    createReadStream,
+    readFile: callback(readFileSync),
+    readdir: callback(readdirSync),
+    stat: callback(statSync),
+    lstat: callback(statSync),
+    promises: {
+      readFile: promise(readFileSync),
+      readdir: promise(readdirSync),
+      stat: promise(statSync),
+      lstat: promise(statSync)
+    },
+    zip,
+    close: () => {
+      cache.clear();
+      return zip.close();
+    }
   };
 };
+
+/**
+ * Register a decoder for an extra field, or replace a
+ * built-in one.
+ *
+ * @param id Header ID of the extra field
+ * @param name Reported as the 'name' of the extra field
+ * @param decode function(raw, record) returning the
+ *  'parsed' value: 'raw' is the field's data, 'record' the
+ *  LOC or CDIR record being parsed.
+ */
+exports.registerExtraField = (id, name, decode = null) => {
+  register_extra(id, name, decode);
+};
+
+/**
+ * Register a decoder for a compression method, or replace
+ * a built-in one.
+ *
+ * @param method Compression method number
+ * @param codec {
+ *    decompress(buf, cdir): returns the uncompressed bytes
+ *      of the whole entry; 'cdir' is the entry's CDIR
+ *      record,
+ *    stream(cdir): optional, returns a Transform stream
+ *      decompressing the entry. Without it, streamed
+ *      entries are buffered and passed to decompress(),
+ *      and entries over 1 GiB refused
+ *  }
+ */
+exports.registerCompression = (method, codec) => {
+  if (!codec || typeof codec.decompress !== 'function') {
+    throw new Error('Compression codec requires a decompress function');
+  }
+
+  register_compression(method, codec);
+};
+
+/**
+ * Compile a glob into a RegExp anchored on the whole entry
+ * name, as find() matches them: '*' and '?' do not match
+ * '/', '**' does, '[...]' is a set of characters ('[!...]'
+ * negated) and '{a,b}' either alternative.
+ *
+ * @param glob Pattern to compile
+ * @param flags RegExp flags, e.g. 'i'
+ * @returns RegExp
+ */
+exports.globRegExp = (glob, flags = '') => {
+  return globregex(glob, flags);
+};
+
+exports.randomAccessFile = randomAccessFile;
+exports.randomAccessFd = randomAccessFd;
+exports.randomAccessBuffer = randomAccessBuffer;
+exports.writableFile = writableFile;
+exports.writableFd = writableFd;
+exports.writableBuffer = writableBuffer;
+exports.C_STORE = C_STORE;
+exports.C_DEFLATE = C_DEFLATE;
+exports.C_SHRUNK = C_SHRUNK;
+exports.C_REDUCED_CFACTOR_1 = C_REDUCED_CFACTOR_1;
+exports.C_REDUCED_CFACTOR_2 = C_REDUCED_CFACTOR_2;
+exports.C_REDUCED_CFACTOR_3 = C_REDUCED_CFACTOR_3;
+exports.C_REDUCED_CFACTOR_4 = C_REDUCED_CFACTOR_4;
+exports.C_IMPLODED = C_IMPLODED;
+exports.C_DEFLATE_64 = C_DEFLATE_64;
+exports.C_BZIP2 = C_BZIP2;
+exports.C_LZMA = C_LZMA;
+exports.C_ZSTD = C_ZSTD;
+exports.C_XZ = C_XZ;